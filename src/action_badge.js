@@ -0,0 +1,260 @@
+/**
+ * @fileoverview This file implements the ActionBadge class, which badges the
+ * browser action in each tab with the proxy in effect for the tab's window
+ * type, unless an alert takes its place.
+ */
+
+/**
+ * Keeps every tab's badge and title current. A tab shows a short label for
+ * its window type's proxy, such as "S5" or "PAC", and a title summarising the
+ * configuration. Alerts raised with `ActionBadge.setAlert` replace the label
+ * in the tabs they apply to; the most important alert wins.
+ *
+ * Chrome can only badge a tab or every tab, not a window, so the badge is set
+ * on each tab, and refreshed when tabs or windows open or gain focus, and
+ * when a tab starts loading a page, which resets the tab's own badge.
+ *
+ * In split incognito mode, each instance badges its own window type's tabs,
+ * and only shows the alerts it raised.
+ *
+ * @constructor
+ */
+function ActionBadge() {
+  /**
+   * The refresh in progress, if any. Refreshes run one at a time.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  var refresh = this.scheduleRefresh_.bind(this);
+  chrome.proxy.settings.onChange.addListener(refresh);
+  chrome.tabs.onCreated.addListener(refresh);
+  chrome.tabs.onActivated.addListener(refresh);
+  chrome.tabs.onUpdated.addListener(this.handleTabUpdated_.bind(this));
+  chrome.windows.onFocusChanged.addListener(refresh);
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'session' && Object.keys(changes).some(function(key) {
+          return key.indexOf(ActionBadge.ALERT_PREFIX) === 0;
+        })) {
+      refresh();
+    }
+  });
+  refresh();
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * An alert to show instead of the proxy label. If `windowType` is set, only
+ * that window type's tabs show it. If `expires` is set, from `Date.now()`,
+ * the alert is ignored after that time, even if nothing clears it.
+ *
+ * @typedef {{text: string, color: Array<number>, title: string,
+ *     windowType: (string|undefined), expires: (number|undefined)}}
+ */
+ActionBadge.Alert;
+
+/**
+ * The sources of alerts, most important first. A command's confirmation is
+ * only shown for a moment, so it goes first.
+ * @enum {string}
+ */
+ActionBadge.Sources = {
+  COMMAND: 'command',
+  KILL_SWITCH: 'killSwitch',
+  CONTROL: 'control',
+  PAUSE_REGULAR: 'pauseRegular',
+  PAUSE_INCOGNITO: 'pauseIncognito',
+  ERROR: 'error'
+};
+
+/**
+ * The prefix of the session storage keys holding alerts, which end with the
+ * source.
+ * @type {string}
+ */
+ActionBadge.ALERT_PREFIX = 'badgeAlert:';
+
+/**
+ * The label for each proxy mode other than `fixed_servers`.
+ * @type {Object<string, string>}
+ */
+ActionBadge.MODE_LABELS = {
+  direct: 'D',
+  auto_detect: 'AUTO',
+  pac_script: 'PAC',
+  system: 'SYS'
+};
+
+/**
+ * The label for each proxy server scheme.
+ * @type {Object<string, string>}
+ */
+ActionBadge.SCHEME_LABELS = {
+  http: 'H',
+  https: 'HS',
+  quic: 'Q',
+  socks4: 'S4',
+  socks5: 'S5'
+};
+
+/**
+ * The badge colour for each proxy mode.
+ * @type {Object<string, Array<number>>}
+ */
+ActionBadge.MODE_COLORS = {
+  direct: [96, 96, 96, 255],
+  auto_detect: [0, 96, 160, 255],
+  pac_script: [0, 96, 160, 255],
+  fixed_servers: [0, 128, 0, 255],
+  system: [96, 96, 96, 255]
+};
+
+/**
+ * Raises or clears a source's alert. Alerts are kept in session storage, so
+ * they outlive the service worker but not the browser.
+ *
+ * @param {ActionBadge.Sources} source The alert's source.
+ * @param {?ActionBadge.Alert} alert The alert, or null to clear it.
+ */
+ActionBadge.setAlert = async function(source, alert) {
+  const key = ProxySettings.instanceKey(ActionBadge.ALERT_PREFIX + source);
+  if (alert)
+    await chrome.storage.session.set({[key]: alert});
+  else
+    await chrome.storage.session.remove(key);
+};
+
+/**
+ * @param {ProxyConfig} proxy A proxy configuration.
+ * @return {string} A short label for the badge, such as "S5" for a SOCKS5
+ *     proxy. Manual configurations are labelled by their first server.
+ */
+ActionBadge.label = function(proxy) {
+  if (!proxy)
+    return '';
+  if (proxy.mode !== 'fixed_servers')
+    return ActionBadge.MODE_LABELS[proxy.mode] || '';
+  var rules = proxy.rules || {};
+  var server = rules.singleProxy || rules.proxyForHttp ||
+               rules.proxyForHttps || rules.proxyForFtp ||
+               rules.fallbackProxy;
+  if (!server)
+    return ActionBadge.MODE_LABELS.direct;
+  return ActionBadge.SCHEME_LABELS[server.scheme || 'http'] || '';
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ActionBadge.prototype = {
+  /**
+   * Queues a refresh of every tab's badge.
+   *
+   * @private
+   */
+  scheduleRefresh_: function() {
+    this.queue_ = this.queue_.then(this.refresh_.bind(this))
+                             .catch(console.error);
+  },
+
+  /**
+   * Refreshes the badges when a tab starts loading a page, since Chrome then
+   * drops the badge and title set for the tab.
+   *
+   * @param {number} tabId The tab that changed.
+   * @param {!Object} changeInfo What changed.
+   * @private
+   */
+  handleTabUpdated_: function(tabId, changeInfo) {
+    if (changeInfo.status === 'loading')
+      this.scheduleRefresh_();
+  },
+
+  /**
+   * Reads the proxy settings and alerts, and badges every tab.
+   *
+   * @private
+   */
+  refresh_: async function() {
+    const windowTypes = await ProxySettings.ownedWindowTypes();
+    const alerts = await this.loadAlerts_();
+    const badges = {};
+    for (const windowType of windowTypes)
+      badges[windowType] = await this.badgeFor_(windowType, alerts);
+
+    // Tabs opened before the next refresh start with this instance's badge.
+    await this.show_(badges[ProxySettings.contextWindowType()]);
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      const badge = badges[tab.incognito ? ProxyProfiles.WindowTypes.INCOGNITO
+                                         : ProxyProfiles.WindowTypes.REGULAR];
+      if (badge)
+        await this.show_(badge, tab.id);
+    }
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @param {Array<ActionBadge.Alert>} alerts The alerts raised, most
+   *     important first.
+   * @return {{text: string, color: Array<number>, title: string}} The badge
+   *     for `windowType`'s tabs.
+   * @private
+   */
+  badgeFor_: async function(windowType, alerts) {
+    const proxy = (await ProxySettings.readProxy(windowType)).value;
+    const title = chrome.i18n.getMessage('badgeProxyTitle', [
+      chrome.i18n.getMessage(
+          windowType === ProxyProfiles.WindowTypes.INCOGNITO ?
+              'windowTypeIncognito' : 'windowTypeRegular'),
+      ProxySettings.describe(proxy)
+    ]);
+    const alert = alerts.find(function(alert) {
+      return !alert.windowType || alert.windowType === windowType;
+    });
+    if (alert)
+      return {text: alert.text, color: alert.color,
+              title: alert.title + '\n' + title};
+    return {text: ActionBadge.label(proxy),
+            color: ActionBadge.MODE_COLORS[proxy.mode] ||
+                   ActionBadge.MODE_COLORS.direct,
+            title: title};
+  },
+
+  /**
+   * @param {{text: string, color: Array<number>, title: string}} badge The
+   *     badge to show.
+   * @param {number=} tabId The tab to show it in. Defaults to every tab
+   *     without a badge of its own.
+   * @private
+   */
+  show_: async function(badge, tabId) {
+    try {
+      await chrome.action.setBadgeBackgroundColor(
+          {color: badge.color, tabId: tabId});
+      await chrome.action.setBadgeText({text: badge.text, tabId: tabId});
+      await chrome.action.setTitle({title: badge.title, tabId: tabId});
+    } catch (err) {
+      // The tab was closed during the refresh.
+    }
+  },
+
+  /**
+   * @return {Array<ActionBadge.Alert>} The alerts raised and not expired,
+   *     most important first.
+   * @private
+   */
+  loadAlerts_: async function() {
+    const keys = Object.values(ActionBadge.Sources).map(function(source) {
+      return ProxySettings.instanceKey(ActionBadge.ALERT_PREFIX + source);
+    });
+    const items = await chrome.storage.session.get(keys);
+    const now = Date.now();
+    return keys.map(function(key) { return items[key]; })
+               .filter(function(alert) {
+                 return alert &&
+                        (alert.expires === undefined || alert.expires > now);
+               });
+  }
+};
@@ -1,3 +1,23 @@
-importScripts("proxy_form_controller.js", "proxy_error_handler.js");
+importScripts("proxy_form_controller.js", "proxy_error_handler.js",
+              "proxy_profiles.js", "proxy_credentials.js",
+              "proxy_auth_handler.js", "ip_address.js",
+              "public_suffixes.js", "bypass_list.js",
+              "pac_script.js", "proxy_route.js", "proxy_tester.js",
+              "proxy_settings.js", "routing_rules.js", "proxy_failover.js",
+              "kill_switch.js", "control_monitor.js",
+              "config_reconciler.js", "action_badge.js",
+              "proxy_commands.js", "site_bypass.js", "proxy_pause.js",
+              "privacy_settings.js", "profile_sync.js");
 
 const errorHandler = new ProxyErrorHandler();
+const authHandler = new ProxyAuthHandler();
+const proxyTester = new ProxyTester();
+const failover = new ProxyFailover();
+const killSwitch = new KillSwitch();
+const controlMonitor = new ControlMonitor();
+const reconciler = new ConfigReconciler(failover);
+const badge = new ActionBadge();
+const commands = new ProxyCommands(failover);
+const siteBypass = new SiteBypass(failover);
+const pause = new ProxyPause(failover);
+const profileSync = new ProfileSync();
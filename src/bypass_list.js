@@ -0,0 +1,185 @@
+/**
+ * @fileoverview This file implements BypassList, which parses proxy bypass
+ * entries using the grammar Chrome accepts, and normalises them.
+ *
+ * @see https://chromium.googlesource.com/chromium/src/+/HEAD/net/docs/proxy.md
+ */
+
+var BypassList = {
+  /**
+   * The kinds of bypass entry.
+   * @enum {string}
+   */
+  Types: {
+    LOCAL: 'local',
+    NO_LOOPBACK: 'no_loopback',
+    CIDR: 'cidr',
+    HOST: 'host'
+  },
+
+  /**
+   * Splits text into entries, and parses each. Entries may be separated by
+   * commas, semicolons or whitespace, including newlines.
+   *
+   * @param {string} text The bypass list, as typed by the user.
+   * @return {{entries: Array<string>,
+   *     errors: Array<{entry: string, message: string}>}} The valid entries,
+   *     normalised, and a description of each invalid entry.
+   */
+  parse: function(text) {
+    var result = {entries: [], errors: []};
+    text.split(/[\s,;]+/).forEach(function(entry) {
+      if (!entry)
+        return;
+      var rule = BypassList.parseEntry(entry);
+      if (rule.error)
+        result.errors.push({entry: entry, message: rule.error});
+      else
+        result.entries.push(BypassList.format(rule));
+    });
+    return result;
+  },
+
+  /**
+   * Parses a single entry. One of:
+   *
+   *   <local>                    host names without a dot
+   *   <-loopback>                stop bypassing localhost and loopback IPs
+   *   [scheme://]ip/prefix       IPv4 or IPv6 CIDR blocks
+   *   [scheme://]pattern[:port]  host names with `*` wildcards, IP literals
+   *                              ([bracketed] if IPv6); a leading `.` is the
+   *                              same as `*.`
+   *
+   * @param {string} entry The entry.
+   * @return {!BypassList.Rule} The parsed rule; its `error` is set if the
+   *     entry is invalid.
+   */
+  parseEntry: function(entry) {
+    var lower = entry.trim().toLowerCase();
+    if (lower === '<local>')
+      return {type: BypassList.Types.LOCAL};
+    if (lower === '<-loopback>')
+      return {type: BypassList.Types.NO_LOOPBACK};
+    if (lower.charAt(0) === '<')
+      return BypassList.error_('errorBypassUnknownKeyword', entry);
+
+    var rule = {type: BypassList.Types.HOST, scheme: null};
+    var scheme = /^([a-z][a-z0-9+.-]*):\/\//.exec(lower);
+    if (scheme) {
+      rule.scheme = scheme[1];
+      lower = lower.substring(scheme[0].length);
+    }
+
+    if (lower.indexOf('/') != -1) {
+      var cidr = /^\[?([0-9a-f:.]+)\]?\/(\d{1,3})$/.exec(lower);
+      var address = cidr && IpAddress.parse(cidr[1]);
+      if (!address)
+        return BypassList.error_('errorBypassBadCidr', entry);
+      rule.type = BypassList.Types.CIDR;
+      rule.address = cidr[1];
+      rule.prefix = parseInt(cidr[2], 10);
+      if (rule.prefix > address.length * 8)
+        return BypassList.error_('errorBypassBadCidr', entry);
+      return rule;
+    }
+
+    var hostPort = /^\[([0-9a-f:.]+)\](?::(\d+))?$/.exec(lower);
+    if (hostPort) {
+      if (!IpAddress.parse(hostPort[1]))
+        return BypassList.error_('errorBypassBadIp', entry);
+    } else if (IpAddress.parse(lower) && lower.indexOf(':') != -1) {
+      hostPort = [lower, lower, undefined];
+    } else {
+      hostPort = /^([^:]+)(?::(\d+))?$/.exec(lower);
+      if (!hostPort)
+        return BypassList.error_('errorBypassBadHost', entry);
+    }
+
+    rule.pattern = hostPort[1].charAt(0) === '.' ?
+        '*' + hostPort[1] : hostPort[1];
+    rule.port = hostPort[2] ? parseInt(hostPort[2], 10) : null;
+    if (rule.port !== null && (rule.port < 1 || rule.port > 65535))
+      return BypassList.error_('errorBypassBadPort', entry);
+    if (rule.pattern.indexOf(':') == -1 &&
+        !/^(\*|[a-z0-9_*-]+(\.[a-z0-9_*-]+)*\.?)$/.test(rule.pattern))
+      return BypassList.error_('errorBypassBadHost', entry);
+    if (/^[\d.]+$/.test(rule.pattern) && !IpAddress.parse(rule.pattern))
+      return BypassList.error_('errorBypassBadIp', entry);
+    return rule;
+  },
+
+  /**
+   * @param {!BypassList.Rule} rule A valid rule.
+   * @return {string} The rule's normalised text.
+   */
+  format: function(rule) {
+    switch (rule.type) {
+      case BypassList.Types.LOCAL:
+        return '<local>';
+      case BypassList.Types.NO_LOOPBACK:
+        return '<-loopback>';
+    }
+    var text = rule.scheme ? rule.scheme + '://' : '';
+    if (rule.type === BypassList.Types.CIDR)
+      return text + rule.address + '/' + rule.prefix;
+    var ipv6 = rule.pattern.indexOf(':') != -1;
+    if (ipv6 && rule.port)
+      text += '[' + rule.pattern + ']';
+    else
+      text += rule.pattern;
+    return text + (rule.port ? ':' + rule.port : '');
+  },
+
+  /**
+   * Finds the domain a host name was registered under: its public suffix
+   * and one more label, as in "example.co.uk" or "user.github.io". Requires
+   * `PublicSuffixes`.
+   *
+   * @param {string} host A host name or IP literal, without brackets.
+   * @return {?string} The registrable domain, or null if `host` is an IP
+   *     literal, a public suffix, or under a suffix the list doesn't know.
+   */
+  registrableDomain: function(host) {
+    host = host.toLowerCase().replace(/\.$/, '');
+    if (IpAddress.parse(host))
+      return null;
+    var suffix = PublicSuffixes.suffixOf(host);
+    if (!suffix || suffix === host)
+      return null;
+    return host.split('.').slice(-suffix.split('.').length - 1).join('.');
+  },
+
+  /**
+   * @param {string} host A host name or IP literal, without brackets.
+   * @param {boolean} wholeDomain Whether to cover the host's registrable
+   *     domain and all its subdomains, rather than just the host. Hosts
+   *     without a registrable domain are covered alone.
+   * @return {Array<string>} Normalised entries bypassing the host.
+   */
+  siteEntries: function(host, wholeDomain) {
+    var domain = wholeDomain ? BypassList.registrableDomain(host) : null;
+    var hosts = domain ? [domain, '*.' + domain] : [host];
+    return hosts.map(function(entry) {
+      return BypassList.format(BypassList.parseEntry(entry));
+    });
+  },
+
+  /**
+   * @param {string} messageName The i18n message describing the problem.
+   * @param {string} entry The invalid entry.
+   * @return {!BypassList.Rule} A rule carrying the error.
+   * @private
+   */
+  error_: function(messageName, entry) {
+    return {type: null, error: chrome.i18n.getMessage(messageName, entry)};
+  }
+};
+
+/**
+ * A parsed bypass entry. `pattern` and `port` are set for HOST rules;
+ * `address` and `prefix` for CIDR rules; `scheme` for either, if given.
+ *
+ * @typedef {{type: ?BypassList.Types, scheme: ?string, pattern: ?string,
+ *     port: ?number, address: ?string, prefix: ?number, error: ?string}}
+ */
+BypassList.Rule;
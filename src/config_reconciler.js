@@ -0,0 +1,196 @@
+/**
+ * @fileoverview This file implements the ConfigReconciler class, which puts
+ * back the settings the user saved if Chrome no longer has them after a
+ * restart, an update or a profile sync.
+ */
+
+/**
+ * Compares the desired settings stored by `ProxySettings.apply` with the
+ * ones in effect when the browser starts, and when the extension is
+ * installed or updated. Settings that drifted are re-applied, and each
+ * correction is recorded; see `ConfigReconciler.loadLog`.
+ *
+ * Settings controlled by another extension or a policy are left alone;
+ * ControlMonitor reports those.
+ *
+ * Also applies the settings the other instance leaves to this one in split
+ * incognito mode; see `ProxySettings.applyRequested`.
+ *
+ * @param {ProxyFailover} failover Forgets failovers in progress, since the
+ *     desired settings name the primary servers.
+ * @constructor
+ */
+function ConfigReconciler(failover) {
+  /**
+   * @type {ProxyFailover}
+   * @private
+   */
+  this.failover_ = failover;
+
+  var self = this;
+  chrome.runtime.onStartup.addListener(function() {
+    self.reconcile('startup').catch(console.error);
+  });
+  chrome.runtime.onInstalled.addListener(function(details) {
+    self.reconcile(details.reason).catch(console.error);
+  });
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'local' && changes.applyRequests)
+      self.applyRequested_().catch(console.error);
+  });
+
+  // `onStartup` doesn't fire for the incognito instance, which starts with
+  // the first incognito window.
+  if (chrome.extension.inIncognitoContext)
+    this.startIncognito_().catch(console.error);
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * A recorded correction. `from` and `to` summarise the setting's values.
+ *
+ * @typedef {{time: number, reason: string, windowType: string,
+ *     setting: string, from: string, to: string}}
+ */
+ConfigReconciler.LogEntry;
+
+/**
+ * How many corrections the log keeps.
+ * @type {number}
+ */
+ConfigReconciler.LOG_LIMIT = 50;
+
+/**
+ * The session storage key set once the incognito instance has checked its
+ * settings at startup.
+ * @type {string}
+ */
+ConfigReconciler.INCOGNITO_CHECKED_KEY = 'reconciledIncognito';
+
+/**
+ * @return {Array<ConfigReconciler.LogEntry>} The recorded corrections,
+ *     oldest first.
+ */
+ConfigReconciler.loadLog = async function() {
+  const items = await chrome.storage.local.get('reconcileLog');
+  return items.reconcileLog || [];
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ConfigReconciler.prototype = {
+  /**
+   * Re-applies the desired settings for each window type that has drifted.
+   *
+   * @param {string} reason Why the check runs: "startup", or the reason
+   *     given by `runtime.onInstalled`.
+   */
+  reconcile: async function(reason) {
+    const corrections = [];
+    for (const windowType of await ProxySettings.ownedWindowTypes()) {
+      const desired = await ProxySettings.readDesired(windowType);
+      // A paused window type is restored when its pause ends, and one on a
+      // backup server when its cooldown is over.
+      if (!desired || await ProxyPause.isPaused(windowType) ||
+          await ProxyFailover.isFailedOver(windowType)) {
+        continue;
+      }
+      const incognito = windowType === ProxyProfiles.WindowTypes.INCOGNITO;
+      const proxy = await ProxySettings.readProxy(windowType);
+      const rtc = await chrome.privacy.network.webRTCIPHandlingPolicy.get(
+          {incognito: incognito});
+
+      const drifted = [];
+      if (this.hasDrifted_(proxy, JSON.stringify(desired.proxy),
+                           JSON.stringify(proxy.value))) {
+        drifted.push({setting: 'settingProxy',
+                      from: ProxySettings.describe(proxy.value),
+                      to: ProxySettings.describe(desired.proxy)});
+      }
+      if (this.hasDrifted_(rtc, desired.restrictRtc, rtc.value)) {
+        drifted.push({setting: 'settingWebRtc', from: rtc.value,
+                      to: desired.restrictRtc});
+      }
+      const privacy = desired.privacy || {};
+      for (const setting of PrivacySettings.SETTINGS) {
+        const api = PrivacySettings.api(setting);
+        if (!api || !(setting.name in privacy))
+          continue;
+        const current = await api.get({incognito: incognito});
+        if (this.hasDrifted_(current, privacy[setting.name], current.value)) {
+          drifted.push({setting: setting.message, from: String(current.value),
+                        to: String(privacy[setting.name])});
+        }
+      }
+      if (!drifted.length)
+        continue;
+
+      await this.failover_.reset(windowType);
+      await ProxySettings.apply(windowType, desired);
+      drifted.forEach(function(entry) {
+        corrections.push(Object.assign(
+            {time: Date.now(), reason: reason, windowType: windowType},
+            entry));
+      });
+    }
+    if (corrections.length) {
+      const log = await ConfigReconciler.loadLog();
+      await chrome.storage.local.set({
+        reconcileLog: log.concat(corrections).slice(
+            -ConfigReconciler.LOG_LIMIT)
+      });
+    }
+  },
+
+  /**
+   * Starts the incognito instance: applies the settings the regular instance
+   * left to it while it wasn't running, and checks its settings if it
+   * hasn't yet this session. Its service worker starts again whenever an
+   * event wakes it, which isn't a new session.
+   *
+   * @private
+   */
+  startIncognito_: async function() {
+    await this.applyRequested_();
+    const key = ConfigReconciler.INCOGNITO_CHECKED_KEY;
+    if ((await chrome.storage.session.get(key))[key])
+      return;
+    await chrome.storage.session.set({[key]: true});
+    await this.reconcile('startup');
+  },
+
+  /**
+   * Applies the settings the other instance left to this one, ending any
+   * failover as the popup does.
+   *
+   * @private
+   */
+  applyRequested_: async function() {
+    const items = await chrome.storage.local.get('applyRequests');
+    const windowTypes = Object.keys(items.applyRequests || {})
+                              .filter(ProxySettings.canApply);
+    if (!windowTypes.length)
+      return;
+    for (const windowType of windowTypes)
+      await this.failover_.reset(windowType);
+    await ProxySettings.applyRequested();
+  },
+
+  /**
+   * @param {{levelOfControl: string}} details A setting, as read from
+   *     Chrome.
+   * @param {string} desired The desired value, serialised.
+   * @param {string} current The current value, serialised the same way.
+   * @return {boolean} True if this extension should, and can, re-apply the
+   *     desired value.
+   * @private
+   */
+  hasDrifted_: function(details, desired, current) {
+    if (ControlMonitor.isLost(details.levelOfControl))
+      return false;
+    return details.levelOfControl !==
+               ProxyFormController.LevelOfControl.CONTROLLING ||
+           desired !== current;
+  }
+};
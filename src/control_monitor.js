@@ -0,0 +1,160 @@
+/**
+ * @fileoverview This file implements the ControlMonitor class, which notices
+ * when another extension or a policy takes control of the settings this
+ * extension manages.
+ */
+
+/**
+ * Watches the proxy and WebRTC settings for the window types this instance
+ * looks after; see `ProxySettings.ownedWindowTypes`. When one of them can no
+ * longer be controlled by this extension, raises a notification and badges
+ * the browser action.
+ *
+ * @constructor
+ */
+function ControlMonitor() {
+  /**
+   * The check in progress, if any. Checks run one at a time.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  var check = this.scheduleCheck_.bind(this);
+  ControlMonitor.settings().forEach(function(setting) {
+    setting.api.onChange.addListener(check);
+  });
+  check();
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * A setting this extension can't control for a window type.
+ *
+ * @typedef {{setting: string, windowType: string, levelOfControl: string}}
+ */
+ControlMonitor.Conflict;
+
+/**
+ * The levels of control that mean this extension's settings don't apply.
+ * @enum {string}
+ */
+ControlMonitor.LostControl = {
+  OTHER_EXTENSION: 'controlled_by_other_extensions',
+  NOT_CONTROLLABLE: 'not_controllable'
+};
+
+/**
+ * @return {Array<{name: string, api: ChromeSetting}>} The monitored
+ *     settings. The names are also the i18n message names describing them.
+ */
+ControlMonitor.settings = function() {
+  return [
+    {name: 'settingProxy', api: chrome.proxy.settings},
+    {name: 'settingWebRtc', api: chrome.privacy.network.webRTCIPHandlingPolicy}
+  ];
+};
+
+/**
+ * @param {ControlMonitor.Conflict} conflict A conflict.
+ * @return {string} A description of the conflict for the user.
+ */
+ControlMonitor.describe = function(conflict) {
+  var setting = chrome.i18n.getMessage(conflict.setting);
+  var windows = chrome.i18n.getMessage(
+      conflict.windowType === ProxyProfiles.WindowTypes.INCOGNITO ?
+          'windowTypeIncognito' : 'windowTypeRegular');
+  return chrome.i18n.getMessage(
+      conflict.levelOfControl === ControlMonitor.LostControl.OTHER_EXTENSION ?
+          'conflictOtherExtension' : 'conflictNotControllable',
+      [setting, windows]);
+};
+
+/**
+ * @param {string} levelOfControl A setting's level of control.
+ * @return {boolean} True if this extension can't control the setting.
+ */
+ControlMonitor.isLost = function(levelOfControl) {
+  return levelOfControl === ControlMonitor.LostControl.OTHER_EXTENSION ||
+         levelOfControl === ControlMonitor.LostControl.NOT_CONTROLLABLE;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ControlMonitor.prototype = {
+  /**
+   * Queues a check of every monitored setting.
+   *
+   * @private
+   */
+  scheduleCheck_: function() {
+    this.queue_ = this.queue_.then(this.check_.bind(this))
+                             .catch(console.error);
+  },
+
+  /**
+   * Reads every monitored setting, and reports conflicts that weren't there
+   * at the last check.
+   *
+   * @private
+   */
+  check_: async function() {
+    const windowTypes = await ProxySettings.ownedWindowTypes();
+    const conflicts = [];
+    for (const setting of ControlMonitor.settings()) {
+      for (const windowType of windowTypes) {
+        const details = await setting.api.get({
+          incognito: windowType === ProxyProfiles.WindowTypes.INCOGNITO
+        });
+        if (ControlMonitor.isLost(details.levelOfControl)) {
+          conflicts.push({setting: setting.name, windowType: windowType,
+                          levelOfControl: details.levelOfControl});
+        }
+      }
+    }
+
+    const previous = await this.loadConflicts_();
+    const known = previous.map(JSON.stringify);
+    conflicts.forEach(function(conflict) {
+      const key = JSON.stringify(conflict);
+      if (known.indexOf(key) == -1) {
+        chrome.notifications.create('control:' + key, {
+          type: 'basic',
+          iconUrl: 'icon128.png',
+          title: chrome.i18n.getMessage('controlLostTitle'),
+          message: ControlMonitor.describe(conflict)
+        });
+      }
+    });
+
+    // Conflicts for a single window type only badge that type's tabs.
+    const conflictTypes = conflicts.map(function(conflict) {
+      return conflict.windowType;
+    }).filter(function(windowType, i, all) {
+      return all.indexOf(windowType) === i;
+    });
+    const alert = conflicts.length ? {
+      text: 'CTRL',
+      color: [128, 0, 128, 255],
+      title: conflicts.map(ControlMonitor.describe).join('\n'),
+      windowType: conflictTypes.length === 1 ? conflictTypes[0] : undefined
+    } : null;
+    await ActionBadge.setAlert(ActionBadge.Sources.CONTROL, alert);
+    // Session storage outlives the service worker, so a conflict is reported
+    // once, not every time the worker starts.
+    await chrome.storage.session.set(
+        {[ProxySettings.instanceKey('controlConflicts')]: conflicts});
+  },
+
+  /**
+   * @return {Array<ControlMonitor.Conflict>} The conflicts found by the last
+   *     check.
+   * @private
+   */
+  loadConflicts_: async function() {
+    const key = ProxySettings.instanceKey('controlConflicts');
+    const items = await chrome.storage.session.get(key);
+    return items[key] || [];
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview This file implements the ErrorLogViewer class, which lists
+ * the proxy errors recorded by ProxyErrorHandler, with a count for each error
+ * code, and the settings ConfigReconciler restored.
+ */
+
+/**
+ * Fills in the counts and entries tables from the error log, and the
+ * restored settings table from the reconciler's log, and refreshes them when
+ * the filter or the logs change.
+ *
+ * @param {string} formId The filter form's DOM ID.
+ * @constructor
+ */
+var ErrorLogViewer = function(formId) {
+  /**
+   * @type {Node}
+   * @private
+   */
+  this.form_ = document.getElementById(formId);
+
+  var render = this.render_.bind(this);
+  this.form_.addEventListener('input', render);
+  this.form_.addEventListener('submit', function(e) { e.preventDefault(); });
+  document.getElementById('clearErrorLog').addEventListener(
+      'click', this.handleClear_.bind(this));
+  var renderReconcileLog = this.renderReconcileLog_.bind(this);
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'local' && changes.errorLog)
+      render();
+    if (area === 'local' && changes.reconcileLog)
+      renderReconcileLog();
+  });
+  render();
+  renderReconcileLog();
+};
+
+ErrorLogViewer.prototype = {
+  /**
+   * Reads the log, and shows the entries matching the filter, newest first.
+   *
+   * @private
+   */
+  render_: async function() {
+    const log = ProxyErrorHandler.filterLog(
+        await ProxyErrorHandler.loadLog(),
+        document.getElementById('errorFilterText').value,
+        document.getElementById('errorFilterFatal').checked);
+
+    const counts = document.querySelector('#errorCounts tbody');
+    counts.textContent = '';
+    ProxyErrorHandler.countErrors(log).forEach(function(item) {
+      counts.appendChild(this.row_([item.error, String(item.count)]));
+    }, this);
+
+    const entries = document.querySelector('#errorEntries tbody');
+    entries.textContent = '';
+    log.slice().reverse().forEach(function(entry) {
+      const profiles = entry.profiles || {};
+      const row = this.row_([
+        new Date(entry.time).toLocaleString(),
+        entry.error,
+        entry.details,
+        this.windowTypeName_(entry.windowType),
+        profiles[ProxyProfiles.WindowTypes.REGULAR] || '',
+        profiles[ProxyProfiles.WindowTypes.INCOGNITO] || ''
+      ]);
+      row.classList.toggle('fatal', entry.fatal);
+      entries.appendChild(row);
+    }, this);
+
+    document.getElementById('errorLogEmpty').hidden = log.length > 0;
+  },
+
+  /**
+   * Shows the settings restored after drifting, newest first.
+   *
+   * @private
+   */
+  renderReconcileLog_: async function() {
+    const log = await ConfigReconciler.loadLog();
+    const entries = document.querySelector('#reconcileEntries tbody');
+    entries.textContent = '';
+    log.slice().reverse().forEach(function(entry) {
+      entries.appendChild(this.row_([
+        new Date(entry.time).toLocaleString(),
+        this.windowTypeName_(entry.windowType),
+        chrome.i18n.getMessage(entry.setting),
+        entry.from,
+        entry.to,
+        entry.reason
+      ]));
+    }, this);
+
+    document.getElementById('reconcileLogEmpty').hidden = log.length > 0;
+  },
+
+  /**
+   * @param {?string} windowType The window type an error happened in, if
+   *     known.
+   * @return {string} The window type's name, or an empty string.
+   * @private
+   */
+  windowTypeName_: function(windowType) {
+    if (windowType === ProxyProfiles.WindowTypes.REGULAR)
+      return chrome.i18n.getMessage('windowTypeRegular');
+    if (windowType === ProxyProfiles.WindowTypes.INCOGNITO)
+      return chrome.i18n.getMessage('windowTypeIncognito');
+    return '';
+  },
+
+  /**
+   * @param {Array<string>} cells The cells' text.
+   * @return {Node} A table row holding `cells`.
+   * @private
+   */
+  row_: function(cells) {
+    const row = document.createElement('tr');
+    cells.forEach(function(text) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    return row;
+  },
+
+  /**
+   * Empties the log once the user confirms.
+   *
+   * @private
+   */
+  handleClear_: async function() {
+    if (!window.confirm(chrome.i18n.getMessage('errorLogClearConfirm')))
+      return;
+    await chrome.runtime.sendMessage({type: 'clearErrorLog'});
+  }
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  var viewer = new ErrorLogViewer('errorLogFilter');
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview This file implements IpAddress, which parses IPv4 and IPv6
+ * address literals and matches them against CIDR blocks.
+ */
+
+var IpAddress = {
+  /**
+   * Parses an IPv4 or IPv6 address literal.
+   *
+   * @param {string} text The address, without brackets.
+   * @return {?Array<number>} The address's 4 or 16 bytes, or null if `text`
+   *     is not an address.
+   */
+  parse: function(text) {
+    var v4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(text);
+    if (v4) {
+      var bytes = v4.slice(1).map(Number);
+      return bytes.every(function(b) { return b < 256; }) ? bytes : null;
+    }
+    if (text.indexOf(':') == -1)
+      return null;
+
+    var halves = text.split('::');
+    if (halves.length > 2)
+      return null;
+    var groups = halves.map(function(half) {
+      var out = [];
+      if (!half)
+        return out;
+      half.split(':').forEach(function(group) {
+        var tail = group.indexOf('.') != -1 ? IpAddress.parse(group) : null;
+        if (tail && tail.length == 4)
+          out.push(tail[0] << 8 | tail[1], tail[2] << 8 | tail[3]);
+        else if (/^[0-9a-fA-F]{1,4}$/.test(group))
+          out.push(parseInt(group, 16));
+        else
+          out.push(NaN);
+      });
+      return out;
+    });
+    var words = groups[0];
+    if (groups.length == 2) {
+      var missing = 8 - groups[0].length - groups[1].length;
+      if (missing < 1)
+        return null;
+      words = words.concat(new Array(missing).fill(0), groups[1]);
+    }
+    if (words.length != 8 || words.some(isNaN))
+      return null;
+    var result = [];
+    words.forEach(function(word) { result.push(word >> 8, word & 0xff); });
+    return result;
+  },
+
+  /**
+   * @param {?Array<number>} address An address, as returned by `parse`.
+   * @param {?Array<number>} network The network's address.
+   * @param {number} prefix The network's prefix length.
+   * @return {boolean} True if `address` is inside the network. Addresses of
+   *     different families never match.
+   */
+  isInPrefix: function(address, network, prefix) {
+    if (!address || !network || address.length != network.length)
+      return false;
+    for (var i = 0; i < address.length && prefix > 0; i++, prefix -= 8) {
+      var mask = prefix >= 8 ? 0xff : (0xff << (8 - prefix)) & 0xff;
+      if ((address[i] & mask) != (network[i] & mask))
+        return false;
+    }
+    return true;
+  }
+};
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview This file implements the KillSwitch class, which blocks
+ * incognito traffic when the incognito proxy settings are no longer the ones
+ * this extension applied, rather than letting it go out directly.
+ */
+
+/**
+ * Watches the incognito proxy setting. While the kill switch is enabled and
+ * the setting differs from the one last applied (another extension took
+ * control, the setting was cleared, or it was changed elsewhere), every
+ * request from an incognito tab is blocked with a session rule, and incognito
+ * tabs are badged. The same happens when a PAC script that isn't mandatory
+ * fails, since Chrome then falls back to DIRECT. Saving settings from the
+ * popup lifts the block.
+ *
+ * A setting this extension controls but hasn't recorded, such as one applied
+ * by an older version, is adopted as the one last applied.
+ *
+ * Requests made outside a tab, such as by service workers, can't be matched.
+ * The rule blocks every tab but the known regular ones, so that a new
+ * incognito tab is blocked from its first request; a new regular tab may
+ * instead be blocked until the rule catches up.
+ *
+ * In split incognito mode, the incognito instance checks the setting and
+ * records whether to block in session storage, and the regular instance,
+ * which sees the regular tabs, keeps the rule.
+ *
+ * @constructor
+ */
+function KillSwitch() {
+  /**
+   * Whether incognito traffic is being blocked.
+   * @type {boolean}
+   * @private
+   */
+  this.engaged_ = false;
+
+  /**
+   * The check in progress, if any. Checks run one at a time.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  var check = this.scheduleCheck_.bind(this);
+  var applying = ProxySettings.APPLYING_PREFIX +
+                 ProxyProfiles.WindowTypes.INCOGNITO;
+  chrome.proxy.settings.onChange.addListener(check);
+  chrome.proxy.onProxyError.addListener(this.handleProxyError_.bind(this));
+  var clearPacError = this.clearPacError_.bind(this);
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'local' && changes.appliedProxy)
+      clearPacError();
+    if ((area === 'local' && (changes.appliedProxy || changes.killSwitch)) ||
+        (area === 'session' &&
+         (changes[applying] || changes[KillSwitch.ENGAGED_KEY])))
+      check();
+  });
+  var updateRule = this.handleTabsChanged_.bind(this);
+  chrome.tabs.onCreated.addListener(updateRule);
+  chrome.tabs.onRemoved.addListener(updateRule);
+  chrome.runtime.onMessage.addListener(this.handleOnRequest_.bind(this));
+
+  // The block outlives the service worker, but `engaged_` doesn't.
+  check();
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The ID of the session rule that blocks incognito tabs.
+ * @type {number}
+ */
+KillSwitch.RULE_ID = 1;
+
+/**
+ * Every resource type, so that the rule blocks navigations too.
+ * @type {Array<string>}
+ */
+KillSwitch.RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+  'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket',
+  'webtransport', 'webbundle', 'other'
+];
+
+/**
+ * The session storage key set when a PAC script fails, until a setting is
+ * applied. Each instance keeps its own; see `ProxySettings.instanceKey`.
+ * @type {string}
+ */
+KillSwitch.PAC_ERROR_KEY = 'killSwitchPacError';
+
+/**
+ * The session storage key holding whether the incognito instance found that
+ * incognito traffic should be blocked, in split incognito mode.
+ * @type {string}
+ */
+KillSwitch.ENGAGED_KEY = 'killSwitchEngaged';
+
+/**
+ * @param {ProxyConfig} proxy A proxy configuration.
+ * @return {boolean} True if Chrome sends requests DIRECT when `proxy`'s PAC
+ *     script fails.
+ */
+KillSwitch.fallsBackToDirect = function(proxy) {
+  return proxy.mode === 'auto_detect' ||
+         (proxy.mode === 'pac_script' && !proxy.pacScript.mandatory);
+};
+
+/**
+ * @return {boolean} True if the user has enabled the kill switch.
+ */
+KillSwitch.isEnabled = async function() {
+  const items = await chrome.storage.local.get('killSwitch');
+  return !!items.killSwitch;
+};
+
+/**
+ * @param {boolean} enabled Whether the kill switch should be enabled.
+ */
+KillSwitch.setEnabled = async function(enabled) {
+  await chrome.storage.local.set({killSwitch: enabled});
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+KillSwitch.prototype = {
+  /**
+   * Handles request messages from the popup.
+   *
+   * @param {!{type: string}} request The request to answer.
+   * @param {!MessageSender} sender Info about the script context that sent
+   *     the request.
+   * @param {!function} sendResponse Function to call to send a response.
+   * @private
+   */
+  handleOnRequest_: function(request, sender, sendResponse) {
+    if (request.type === 'getKillSwitch') {
+      var self = this;
+      this.queue_.then(function() {
+        sendResponse({result: self.engaged_});
+      });
+      return true;
+    }
+  },
+
+  /**
+   * Queues a check of the incognito proxy setting.
+   *
+   * @private
+   */
+  scheduleCheck_: function() {
+    this.queue_ = this.queue_.then(this.check_.bind(this))
+                             .catch(console.error);
+  },
+
+  /**
+   * Notes a failed PAC script, and checks whether to block. Chrome doesn't
+   * say which window type's script failed, so outside split incognito mode
+   * any failure counts. In split incognito mode, the regular instance's
+   * failures are its own window type's, and are ignored.
+   *
+   * @param {!ProxyErrorHandler.ErrorDetails} details The error details.
+   * @private
+   */
+  handleProxyError_: function(details) {
+    if (details.error.indexOf('ERR_PAC_') === -1 ||
+        (ProxySettings.isSplit() && !chrome.extension.inIncognitoContext))
+      return;
+    this.queue_ = this.queue_.then(function() {
+      return chrome.storage.session.set(
+          {[ProxySettings.instanceKey(KillSwitch.PAC_ERROR_KEY)]: true});
+    }).then(this.check_.bind(this)).catch(console.error);
+  },
+
+  /**
+   * Forgets a failed PAC script once a setting is applied.
+   *
+   * @private
+   */
+  clearPacError_: function() {
+    this.queue_ = this.queue_.then(function() {
+      return chrome.storage.session.remove(
+          ProxySettings.instanceKey(KillSwitch.PAC_ERROR_KEY));
+    }).catch(console.error);
+  },
+
+  /**
+   * Compares the incognito proxy setting to the one last applied, and blocks
+   * or unblocks incognito traffic to match. While traffic is blocked,
+   * incognito tabs are badged. Changes made while this extension applies a
+   * setting are left for the check that follows.
+   *
+   * In split incognito mode, the regular instance follows the incognito
+   * instance's finding instead.
+   *
+   * @private
+   */
+  check_: async function() {
+    const incognito = ProxyProfiles.WindowTypes.INCOGNITO;
+    const split = ProxySettings.isSplit();
+    if (split && !chrome.extension.inIncognitoContext) {
+      const items = await chrome.storage.session.get(KillSwitch.ENGAGED_KEY);
+      this.engaged_ = !!items[KillSwitch.ENGAGED_KEY];
+      await this.updateRule_();
+      return;
+    }
+    if (await ProxySettings.isApplying(incognito))
+      return;
+    let lost = false;
+    if (await KillSwitch.isEnabled()) {
+      const current = await ProxySettings.readProxy(incognito);
+      const controlling = current.levelOfControl ===
+                          ProxyFormController.LevelOfControl.CONTROLLING;
+      let expected = await ProxySettings.readApplied(incognito);
+      if (!expected && controlling) {
+        expected = current.value;
+        await ProxySettings.recordApplied(incognito, expected);
+      }
+      const key = ProxySettings.instanceKey(KillSwitch.PAC_ERROR_KEY);
+      const items = await chrome.storage.session.get(key);
+      lost = !!expected &&
+             (!controlling ||
+              JSON.stringify(current.value) !== JSON.stringify(expected) ||
+              (!!items[key] && KillSwitch.fallsBackToDirect(current.value)));
+    }
+    this.engaged_ = lost;
+    if (split)
+      await chrome.storage.session.set({[KillSwitch.ENGAGED_KEY]: lost});
+    else
+      await this.updateRule_();
+    await ActionBadge.setAlert(ActionBadge.Sources.KILL_SWITCH, lost ? {
+      text: 'STOP',
+      color: [128, 0, 0, 255],
+      title: chrome.i18n.getMessage('killSwitchEngagedTitle'),
+      windowType: incognito
+    } : null);
+  },
+
+  /**
+   * Keeps the rule's tab list current while the kill switch is engaged.
+   * In split incognito mode, the regular instance keeps the rule.
+   *
+   * @private
+   */
+  handleTabsChanged_: function() {
+    if (this.engaged_ && !chrome.extension.inIncognitoContext)
+      this.queue_ = this.queue_.then(this.updateRule_.bind(this))
+                               .catch(console.error);
+  },
+
+  /**
+   * Replaces the blocking rule with one covering every tab but the open
+   * regular ones, or removes it if the kill switch isn't engaged.
+   *
+   * @private
+   */
+  updateRule_: async function() {
+    const rules = [];
+    if (this.engaged_) {
+      const tabs = await chrome.tabs.query({});
+      const tabIds = tabs.filter(function(tab) {
+        return !tab.incognito;
+      }).map(function(tab) { return tab.id; });
+      rules.push({
+        id: KillSwitch.RULE_ID,
+        priority: 1,
+        action: {type: 'block'},
+        condition: {
+          resourceTypes: KillSwitch.RESOURCE_TYPES,
+          excludedTabIds: [chrome.tabs.TAB_ID_NONE].concat(tabIds)
+        }
+      });
+    }
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [KillSwitch.RULE_ID],
+      addRules: rules
+    });
+  }
+};
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview This file runs inside the sandboxed PAC page, where `eval` is
+ * allowed and there is no access to extension APIs. It answers requests
+ * posted by PacSandboxClient, and provides the standard PAC helper functions
+ * with a stub resolver so that scripts can be evaluated offline.
+ */
+
+/**
+ * Settings that stand in for the network when evaluating a PAC script, and
+ * optionally the time, from `Date.now()`, that the date and time helpers see.
+ *
+ * @typedef {{dns: !Object<string, string>, myIp: string,
+ *     now: (number|undefined)}}
+ */
+var PacEnvironment;
+
+/**
+ * The weekday names PAC scripts use, in `Date.getDay()` order.
+ * @type {Array<string>}
+ */
+var PAC_WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * The month names PAC scripts use, in `Date.getMonth()` order.
+ * @type {Array<string>}
+ */
+var PAC_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG',
+                  'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Checks that a PAC script compiles and defines `FindProxyForURL`. The script
+ * is compiled, but not run.
+ *
+ * @param {string} script The PAC script.
+ * @return {?string} A description of the problem, or null if there is none.
+ */
+function checkPacScript(script) {
+  try {
+    new Function(script);
+  } catch (err) {
+    return `${err.name}: ${err.message}`;
+  }
+  if (!/\bfunction\s+FindProxyForURL\s*\(/.test(script))
+    return 'FindProxyForURL is not defined';
+  return null;
+}
+
+/**
+ * Creates the standard PAC helper functions. DNS lookups are answered from
+ * `env.dns` rather than the network.
+ *
+ * @param {PacEnvironment} env The stub network.
+ * @param {Array<string>} trace Receives a line for every lookup or alert.
+ * @return {!Object<string, Function>} The helpers, keyed by name.
+ */
+function createPacHelpers(env, trace) {
+  function resolve(host) {
+    if (IpAddress.parse(host))
+      return host;
+    var name = host.toLowerCase();
+    var ip = Object.prototype.hasOwnProperty.call(env.dns, name) ?
+        env.dns[name] : null;
+    trace.push(`dnsResolve("${host}") = ${ip ? `"${ip}"` : 'not resolved'}`);
+    return ip;
+  }
+
+  // The date and time helpers take an optional trailing "GMT", which makes
+  // them use UTC rather than local time.
+  function timeArgs(args) {
+    args = Array.prototype.slice.call(args);
+    var gmt = args[args.length - 1] === 'GMT';
+    if (gmt)
+      args.pop();
+    var date = new Date(env.now || Date.now());
+    return {
+      args: args,
+      year: gmt ? date.getUTCFullYear() : date.getFullYear(),
+      month: gmt ? date.getUTCMonth() : date.getMonth(),
+      day: gmt ? date.getUTCDate() : date.getDate(),
+      weekday: gmt ? date.getUTCDay() : date.getDay(),
+      seconds: (gmt ? date.getUTCHours() : date.getHours()) * 3600 +
+               (gmt ? date.getUTCMinutes() : date.getMinutes()) * 60 +
+               (gmt ? date.getUTCSeconds() : date.getSeconds())
+    };
+  }
+
+  // Whether `value` lies between `start` and `end`, wrapping around when
+  // `start` is later.
+  function inRange(value, start, end) {
+    return start <= end ? start <= value && value <= end :
+                          value >= start || value <= end;
+  }
+
+  return {
+    isPlainHostName: function(host) {
+      return host.indexOf('.') == -1 && host.indexOf(':') == -1;
+    },
+    dnsDomainIs: function(host, domain) {
+      return host.length >= domain.length &&
+             host.substring(host.length - domain.length) === domain;
+    },
+    localHostOrDomainIs: function(host, hostdom) {
+      return host === hostdom ||
+             (host.indexOf('.') == -1 && hostdom.indexOf(host + '.') === 0);
+    },
+    isResolvable: function(host) {
+      return !!resolve(host);
+    },
+    isResolvableEx: function(host) {
+      return !!resolve(host);
+    },
+    isInNet: function(host, pattern, mask) {
+      var ip = resolve(host);
+      var address = ip && IpAddress.parse(ip);
+      var network = IpAddress.parse(pattern);
+      var netmask = IpAddress.parse(mask);
+      if (!address || address.length != 4 || !network || !netmask)
+        return false;
+      return address.every(function(b, i) {
+        return (b & netmask[i]) == (network[i] & netmask[i]);
+      });
+    },
+    isInNetEx: function(host, prefix) {
+      var ip = resolve(host);
+      var parts = prefix.split('/');
+      return !!ip && parts.length == 2 &&
+             IpAddress.isInPrefix(IpAddress.parse(ip),
+                                  IpAddress.parse(parts[0]),
+                                  parseInt(parts[1], 10));
+    },
+    dnsResolve: function(host) {
+      return resolve(host);
+    },
+    dnsResolveEx: function(host) {
+      return resolve(host) || '';
+    },
+    myIpAddress: function() {
+      return env.myIp;
+    },
+    myIpAddressEx: function() {
+      return env.myIp;
+    },
+    dnsDomainLevels: function(host) {
+      return host.split('.').length - 1;
+    },
+    shExpMatch: function(str, shexp) {
+      var pattern = shexp.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                         .replace(/\*/g, '.*')
+                         .replace(/\?/g, '.');
+      return new RegExp('^' + pattern + '$').test(str);
+    },
+    weekdayRange: function() {
+      var now = timeArgs(arguments);
+      var start = PAC_WEEKDAYS.indexOf(now.args[0]);
+      var end = now.args.length > 1 ? PAC_WEEKDAYS.indexOf(now.args[1]) :
+                                      start;
+      return start != -1 && end != -1 && inRange(now.weekday, start, end);
+    },
+    dateRange: function() {
+      var now = timeArgs(arguments);
+      var args = now.args;
+      if (!args.length || args.length > 6)
+        return false;
+      // Each bound is a day, month and year, or some of them. A number below
+      // 32 is a day, a larger one a year, and a name a month.
+      var fields = ['year', 'month', 'day'];
+      function bound(values) {
+        var result = {};
+        values.forEach(function(value) {
+          if (PAC_MONTHS.indexOf(value) != -1)
+            result.month = PAC_MONTHS.indexOf(value);
+          else if (value < 32)
+            result.day = value;
+          else
+            result.year = value;
+        });
+        return result;
+      }
+      var half = args.length == 1 ? 1 : args.length >> 1;
+      var start = bound(args.slice(0, half));
+      var end = args.length == 1 ? start : bound(args.slice(half));
+      // Compares only the fields the bounds give, most significant first.
+      function key(date) {
+        return fields.reduce(function(total, field) {
+          return field in start ? total * 10000 + date[field] : total;
+        }, 0);
+      }
+      return inRange(key(now), key(start), key(end));
+    },
+    timeRange: function() {
+      var now = timeArgs(arguments);
+      var args = now.args;
+      var hour = Math.floor(now.seconds / 3600);
+      if (args.length == 1)
+        return hour == args[0];
+      if (args.length == 2)
+        return args[0] <= hour && hour <= args[1];
+      if (args.length == 4) {
+        return inRange(now.seconds, args[0] * 3600 + args[1] * 60,
+                       args[2] * 3600 + args[3] * 60 + 59);
+      }
+      if (args.length == 6) {
+        return inRange(now.seconds,
+                       args[0] * 3600 + args[1] * 60 + args[2],
+                       args[3] * 3600 + args[4] * 60 + args[5]);
+      }
+      return false;
+    },
+    alert: function(message) {
+      trace.push(`alert: ${message}`);
+    }
+  };
+}
+
+/**
+ * Runs a PAC script's `FindProxyForURL` against a stub network.
+ *
+ * @param {string} script The PAC script.
+ * @param {string} url The URL to look up.
+ * @param {string} host The URL's host.
+ * @param {PacEnvironment} env The stub network.
+ * @return {{result: ?string, error: ?string, trace: Array<string>}} The
+ *     value returned by the script, or a description of what went wrong.
+ */
+function evaluatePacScript(script, url, host, env) {
+  var trace = [];
+  var helpers = createPacHelpers(env, trace);
+  var names = Object.keys(helpers);
+  try {
+    var findProxyForURL = new Function(
+        names.join(', '),
+        script + '\nreturn FindProxyForURL;').apply(
+            null, names.map(function(name) { return helpers[name]; }));
+    var result = findProxyForURL(url, host);
+    if (typeof result !== 'string')
+      throw new TypeError(`FindProxyForURL returned ${typeof result}`);
+    return {result: result, error: null, trace: trace};
+  } catch (err) {
+    return {result: null, error: `${err.name}: ${err.message}`, trace: trace};
+  }
+}
+
+window.addEventListener('message', function(e) {
+  var request = e.data;
+  var response = {id: request.id};
+  if (request.type === 'check') {
+    response.error = checkPacScript(request.script);
+  } else if (request.type === 'evaluate') {
+    Object.assign(response, evaluatePacScript(
+        request.script, request.url, request.host, request.env));
+  } else {
+    response.error = `unknown request type: ${request.type}`;
+  }
+  e.source.postMessage(response, '*');
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview This file implements the PacSandboxClient class, which hosts
+ * the sandboxed PAC page in a hidden iframe and talks to it. Extension pages
+ * may not evaluate code, so anything that compiles a PAC script goes through
+ * the sandbox.
+ */
+
+/**
+ * @param {number=} timeoutMs How long to wait for an answer before giving up.
+ * @constructor
+ */
+var PacSandboxClient = function(timeoutMs) {
+  /**
+   * @type {number}
+   * @private
+   */
+  this.timeoutMs_ = timeoutMs || 2000;
+
+  /**
+   * Resolvers for requests awaiting an answer, keyed by request ID.
+   * @type {Object<number, function(Object)>}
+   * @private
+   */
+  this.pending_ = {};
+
+  window.addEventListener('message', this.handleMessage_.bind(this));
+};
+
+PacSandboxClient.prototype = {
+  /**
+   * @type {number}
+   * @private
+   */
+  nextId_: 1,
+
+  /**
+   * Resolves to the sandbox iframe's window once it has loaded.
+   * @type {?Promise<Window>}
+   * @private
+   */
+  frame_: null,
+
+  /**
+   * The sandbox iframe's window, once it has loaded. Only its messages are
+   * answers.
+   * @type {?Window}
+   * @private
+   */
+  window_: null,
+
+  /**
+   * Checks that a PAC script compiles and defines `FindProxyForURL`.
+   *
+   * @param {string} script The PAC script.
+   * @return {?string} A description of the problem, or null if there is none.
+   */
+  check: async function(script) {
+    const response = await this.send_({type: 'check', script: script});
+    return response.error;
+  },
+
+  /**
+   * Runs a PAC script's `FindProxyForURL` against a stub network.
+   *
+   * @param {string} script The PAC script.
+   * @param {string} url The URL to look up.
+   * @param {string} host The URL's host.
+   * @param {{dns: !Object<string, string>, myIp: string}} env The stub
+   *     network: host names to addresses, and the address of this machine.
+   * @return {{result: ?string, error: ?string, trace: Array<string>}} The
+   *     value returned by the script, or a description of what went wrong.
+   */
+  evaluate: async function(script, url, host, env) {
+    const response = await this.send_(
+        {type: 'evaluate', script: script, url: url, host: host, env: env});
+    return {
+      result: response.result || null,
+      error: response.error || null,
+      trace: response.trace || []
+    };
+  },
+
+  /**
+   * Posts a request to the sandbox, and waits for the answer.
+   *
+   * @param {!Object} request The request; an `id` is added to it.
+   * @return {!Object} The sandbox's response.
+   * @private
+   */
+  send_: async function(request) {
+    const target = await this.getFrame_();
+    request.id = this.nextId_++;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        delete this.pending_[request.id];
+        resolve({id: request.id, error: 'the PAC sandbox did not answer'});
+      }, this.timeoutMs_);
+      this.pending_[request.id] = function(response) {
+        clearTimeout(timer);
+        resolve(response);
+      };
+      target.postMessage(request, '*');
+    });
+  },
+
+  /**
+   * @return {!Window} The sandbox iframe's window, created on first use.
+   * @private
+   */
+  getFrame_: function() {
+    if (!this.frame_) {
+      var self = this;
+      this.frame_ = new Promise(function(resolve) {
+        var iframe = document.createElement('iframe');
+        iframe.src = 'pac_sandbox.html';
+        iframe.hidden = true;
+        iframe.addEventListener('load', function() {
+          self.window_ = iframe.contentWindow;
+          resolve(iframe.contentWindow);
+        });
+        document.body.appendChild(iframe);
+      });
+    }
+    return this.frame_;
+  },
+
+  /**
+   * @param {MessageEvent} e A message, possibly from the sandbox.
+   * @private
+   */
+  handleMessage_: function(e) {
+    if (!this.window_ || e.source !== this.window_)
+      return;
+    var resolve = e.data && this.pending_[e.data.id];
+    if (resolve) {
+      delete this.pending_[e.data.id];
+      resolve(e.data);
+    }
+  }
+};
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview This file implements PacScript, which converts manual
+ * `fixed_servers` proxy rules into an equivalent PAC script, and provides the
+ * building blocks for other generated scripts.
+ */
+
+var PacScript = {
+  /**
+   * PAC return values for each `ProxyServer` scheme.
+   * @enum {string}
+   */
+  Keywords: {
+    http: 'PROXY',
+    https: 'HTTPS',
+    quic: 'QUIC',
+    socks4: 'SOCKS',
+    socks5: 'SOCKS5'
+  },
+
+  /**
+   * Ports Chrome assumes when a `ProxyServer` doesn't name one.
+   * @enum {number}
+   */
+  DefaultPorts: {
+    http: 80,
+    https: 443,
+    quic: 443,
+    socks4: 1080,
+    socks5: 1080
+  },
+
+  /**
+   * Ports implied by URL schemes, used to match bypass entries with a port.
+   * @type {Object<string, number>}
+   */
+  URL_PORTS: {http: 80, https: 443, ftp: 21, ws: 80, wss: 443},
+
+  /**
+   * Helper functions included at the top of every generated script.
+   * @type {string}
+   */
+  HELPERS: [
+    'function isIpV4Literal_(host) {',
+    '  return /^\\d+\\.\\d+\\.\\d+\\.\\d+$/.test(host);',
+    '}',
+    '',
+    'function isIpV6Literal_(host) {',
+    '  return host.indexOf(":") != -1;',
+    '}',
+    '',
+    'function portOf_(url, scheme) {',
+    '  var m = /^[^:]+:\\/\\/(?:[^\\/@]*@)?(?:\\[[^\\]]*\\]|[^\\/:]*)' +
+        '(?::(\\d+))?/.exec(url);',
+    '  if (m && m[1])',
+    '    return parseInt(m[1], 10);',
+    '  return URL_PORTS_[scheme] || -1;',
+    '}',
+    ''
+  ].join('\n'),
+
+  /**
+   * Converts `fixed_servers` rules into a PAC script that routes requests the
+   * same way Chrome would, including the bypass list.
+   *
+   * @param {ProxyRules} rules The rules to convert.
+   * @return {string} The PAC script.
+   */
+  fromRules: function(rules) {
+    var lines = PacScript.preamble(
+        'Generated by Incognito Proxy from the manual proxy settings.');
+
+    var bypass = PacScript.bypassConditions(rules.bypassList || []);
+    if (bypass.length) {
+      lines.push('  if (' + bypass.join(' ||\n      ') + ')');
+      lines.push('    return "DIRECT";');
+    }
+
+    if (rules.singleProxy) {
+      lines.push('  return ' +
+                 JSON.stringify(PacScript.toProxyString(rules.singleProxy)) +
+                 ';');
+    } else {
+      var fallback = rules.fallbackProxy ?
+          PacScript.toProxyString(rules.fallbackProxy) : 'DIRECT';
+      // WebSockets use the HTTP and HTTPS servers, as they do in Chrome.
+      [[['http', 'ws'], rules.proxyForHttp],
+       [['https', 'wss'], rules.proxyForHttps],
+       [['ftp'], rules.proxyForFtp]].forEach(function(pair) {
+        if (pair[1]) {
+          lines.push('  if (' + pair[0].map(function(scheme) {
+            return 'scheme == "' + scheme + '"';
+          }).join(' || ') + ')');
+          lines.push('    return ' +
+                     JSON.stringify(PacScript.toProxyString(pair[1])) + ';');
+        }
+      });
+      lines.push('  return ' + JSON.stringify(fallback) + ';');
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Starts a generated script: a comment, the helpers, and the opening of
+   * `FindProxyForURL` with `scheme` and `port` variables set up for the
+   * conditions returned by `matchCondition`.
+   *
+   * @param {string} comment A one-line description of the script.
+   * @return {Array<string>} The script's first lines.
+   */
+  preamble: function(comment) {
+    return [
+      '// ' + comment,
+      'var URL_PORTS_ = ' + JSON.stringify(PacScript.URL_PORTS) + ';',
+      '',
+      PacScript.HELPERS,
+      'function FindProxyForURL(url, host) {',
+      '  var scheme = url.substring(0, url.indexOf(":")).toLowerCase();',
+      '  var port = portOf_(url, scheme);'
+    ];
+  },
+
+  /**
+   * @param {ProxyServer} server The proxy server.
+   * @return {string} The server as a PAC return value, e.g. "SOCKS5 h:1080".
+   */
+  toProxyString: function(server) {
+    var scheme = server.scheme || 'http';
+    var port = server.port || PacScript.DefaultPorts[scheme];
+    var host = server.host.indexOf(':') != -1 ?
+        '[' + server.host + ']' : server.host;
+    return PacScript.Keywords[scheme] + ' ' + host + ':' + port;
+  },
+
+  /**
+   * Converts a bypass list into PAC conditions, one per entry. Chrome always
+   * bypasses loopback addresses unless the list contains `<-loopback>`, so
+   * matching conditions are added for them.
+   *
+   * @param {Array<string>} bypassList The bypass list entries.
+   * @return {Array<string>} JavaScript expressions that are true when a
+   *     request should go DIRECT.
+   */
+  bypassConditions: function(bypassList) {
+    var conditions = [];
+    var loopback = true;
+    bypassList.forEach(function(entry) {
+      if (!entry.trim())
+        return;
+      if (BypassList.parseEntry(entry).type ===
+          BypassList.Types.NO_LOOPBACK) {
+        loopback = false;
+        return;
+      }
+      conditions.push(PacScript.matchCondition(entry));
+    });
+    if (loopback) {
+      conditions.unshift(
+          'host == "localhost"',
+          'shExpMatch(host, "*.localhost")',
+          '(isIpV4Literal_(host) && isInNet(host, "127.0.0.0", "255.0.0.0"))',
+          'host == "::1"');
+    }
+    return conditions;
+  },
+
+  /**
+   * @param {string} entry A single bypass list entry, or a host pattern in
+   *     the same syntax.
+   * @return {string} A JavaScript expression that is true when the entry
+   *     matches `host` (and `scheme` and `port`, where given).
+   * @throws {string} A description of the problem if `entry` is invalid.
+   */
+  matchCondition: function(entry) {
+    var rule = BypassList.parseEntry(entry);
+    if (rule.error)
+      throw rule.error;
+    if (rule.type === BypassList.Types.LOCAL)
+      return 'isPlainHostName(host)';
+
+    var parts = [];
+    if (rule.scheme)
+      parts.push('scheme == ' + JSON.stringify(rule.scheme));
+    if (rule.type === BypassList.Types.CIDR) {
+      if (rule.address.indexOf(':') != -1) {
+        parts.push('isIpV6Literal_(host)', 'isInNetEx(host, ' +
+                   JSON.stringify(rule.address + '/' + rule.prefix) + ')');
+      } else {
+        parts.push('isIpV4Literal_(host)', 'isInNet(host, ' +
+                   JSON.stringify(rule.address) + ', ' +
+                   JSON.stringify(PacScript.prefixToMask_(rule.prefix)) + ')');
+      }
+    } else {
+      parts.push(rule.pattern.indexOf('*') != -1 ?
+          'shExpMatch(host, ' + JSON.stringify(rule.pattern) + ')' :
+          'host == ' + JSON.stringify(rule.pattern));
+      if (rule.port)
+        parts.push('port == ' + rule.port);
+    }
+    return parts.length > 1 ? '(' + parts.join(' && ') + ')' : parts[0];
+  },
+
+  /**
+   * @param {number} prefix An IPv4 prefix length, from 0 to 32.
+   * @return {string} The equivalent dotted netmask, e.g. "255.255.0.0".
+   * @private
+   */
+  prefixToMask_: function(prefix) {
+    var octets = [];
+    for (var i = 0; i < 4; i++) {
+      var bits = Math.max(0, Math.min(8, prefix - i * 8));
+      octets.push(256 - Math.pow(2, 8 - bits));
+    }
+    return octets.join('.');
+  }
+};
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview This file implements the PacTester class, which evaluates
+ * the current regular and incognito PAC scripts for a URL, so that users can
+ * see which proxy a request would use.
+ */
+
+/**
+ * Wraps the tester form, and fills in the results table when it is
+ * submitted.
+ *
+ * @param {string} formId The form's DOM ID.
+ * @constructor
+ */
+var PacTester = function(formId) {
+  /**
+   * @type {Node}
+   * @private
+   */
+  this.form_ = document.getElementById(formId);
+
+  /**
+   * @type {PacSandboxClient}
+   * @private
+   */
+  this.sandbox_ = new PacSandboxClient();
+
+  this.form_.addEventListener('submit', this.handleSubmit_.bind(this));
+};
+
+PacTester.prototype = {
+  /**
+   * Handler called when the form is submitted. Evaluates both window types'
+   * configurations, and shows the results.
+   *
+   * @param {Event} e The `submit` event to respond to.
+   * @private
+   */
+  handleSubmit_: async function(e) {
+    e.preventDefault();
+
+    const url = document.getElementById('testUrl').value;
+    const host = document.getElementById('testHost').value.trim() ||
+                 new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    const env = {
+      dns: this.parseDns_(document.getElementById('testDns').value),
+      myIp: document.getElementById('testMyIp').value.trim()
+    };
+
+    const incognito = await chrome.extension.isAllowedIncognitoAccess();
+    await this.showResult_('resultRegular', false, url, host, env);
+    if (incognito) {
+      await this.showResult_('resultIncognito', true, url, host, env);
+    } else {
+      this.fillRow_('resultIncognito', '',
+                    chrome.i18n.getMessage('errorPacTesterNoIncognito'), true);
+    }
+  },
+
+  /**
+   * Evaluates one window type's configuration, and fills in its row.
+   *
+   * @param {string} rowId The results row's DOM ID.
+   * @param {boolean} incognito Which window type to evaluate.
+   * @param {string} url The URL to look up.
+   * @param {string} host The URL's host.
+   * @param {{dns: !Object<string, string>, myIp: string}} env The stub
+   *     network.
+   * @private
+   */
+  showResult_: async function(rowId, incognito, url, host, env) {
+    let config;
+    try {
+      config = await this.readProxy_(incognito ?
+          ProxyProfiles.WindowTypes.INCOGNITO :
+          ProxyProfiles.WindowTypes.REGULAR);
+    } catch (err) {
+      this.fillRow_(rowId, '', String(err), true);
+      return;
+    }
+    const pac = config.pacScript;
+    if (config.mode !== 'pac_script' || !pac) {
+      this.fillRow_(rowId, config.mode,
+                    chrome.i18n.getMessage('errorPacTesterNotPac'), true);
+      return;
+    }
+
+    let script = pac.data;
+    if (pac.url) {
+      try {
+        script = await this.fetchPac_(pac.url);
+      } catch (err) {
+        this.fillRow_(rowId, pac.url, String(err), true);
+        return;
+      }
+    }
+    const outcome = await this.sandbox_.evaluate(
+        script, PacTester.stripUrl(url), host, env);
+    const lines = outcome.trace.concat(outcome.error || outcome.result);
+    this.fillRow_(rowId, pac.url || chrome.i18n.getMessage('pacTesterInline'),
+                  lines.join('\n'), !!outcome.error);
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {ProxyConfig} The window type's proxy configuration. In split
+   *     incognito mode, the other window type's is read as last saved.
+   * @private
+   */
+  readProxy_: async function(windowType) {
+    if (ProxySettings.canApply(windowType))
+      return (await ProxySettings.readProxy(windowType)).value;
+    const requested = await ProxySettings.readRequested(windowType);
+    if (!requested)
+      throw chrome.i18n.getMessage('errorPacTesterNotSaved');
+    return requested.proxy;
+  },
+
+  /**
+   * Downloads a PAC file, asking for access to its host if needed.
+   *
+   * @param {string} url The PAC file's URL.
+   * @return {string} The PAC script.
+   * @private
+   */
+  fetchPac_: async function(url) {
+    const origins = [new URL(url).origin + '/*'];
+    if (!await chrome.permissions.contains({origins: origins}) &&
+        !await chrome.permissions.request({origins: origins})) {
+      throw chrome.i18n.getMessage('errorPacTesterNoPermission', url);
+    }
+    const response = await fetch(url, {cache: 'no-store'});
+    if (!response.ok)
+      throw `${url}: HTTP ${response.status}`;
+    return response.text();
+  },
+
+  /**
+   * @param {string} text Lines of "host address" pairs.
+   * @return {!Object<string, string>} Addresses keyed by lowercase host name.
+   * @private
+   */
+  parseDns_: function(text) {
+    var dns = {};
+    text.split('\n').forEach(function(line) {
+      var parts = line.trim().split(/\s+/);
+      if (parts.length == 2)
+        dns[parts[0].toLowerCase()] = parts[1];
+    });
+    return dns;
+  },
+
+  /**
+   * @param {string} rowId The results row's DOM ID.
+   * @param {string} config A description of the configuration.
+   * @param {string} result The result, or a description of the error.
+   * @param {boolean} isError Whether `result` describes an error.
+   * @private
+   */
+  fillRow_: function(rowId, config, result, isError) {
+    var row = document.getElementById(rowId);
+    row.querySelector('.config').textContent = config;
+    var cell = row.querySelector('.result');
+    cell.textContent = result;
+    cell.classList.toggle('error', isError);
+  }
+};
+
+/**
+ * Chrome hands PAC scripts only the origin of secure URLs, so that scripts
+ * cannot see their paths. The tester does the same.
+ *
+ * @param {string} url The URL being looked up.
+ * @return {string} The URL as FindProxyForURL would see it.
+ */
+PacTester.stripUrl = function(url) {
+  var parsed = new URL(url);
+  if (parsed.protocol === 'https:' || parsed.protocol === 'wss:')
+    return parsed.origin + '/';
+  return url;
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  var tester = new PacTester('pacTesterForm');
+});
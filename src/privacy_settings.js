@@ -0,0 +1,105 @@
+/**
+ * @fileoverview This file implements PrivacySettings, which reads and applies
+ * the `chrome.privacy` settings, other than the WebRTC policy, that can be
+ * set separately for regular and incognito windows.
+ */
+
+var PrivacySettings = {
+  /**
+   * The managed settings: where each lives under `chrome.privacy`, the i18n
+   * message naming it, and its value in the hardened preset.
+   *
+   * @type {Array<PrivacySettings.Setting>}
+   */
+  SETTINGS: [
+    {name: 'networkPredictionEnabled', group: 'network',
+     message: 'settingNetworkPrediction', hardened: false},
+    {name: 'hyperlinkAuditingEnabled', group: 'websites',
+     message: 'settingHyperlinkAuditing', hardened: false},
+    {name: 'referrersEnabled', group: 'websites',
+     message: 'settingReferrers', hardened: false},
+    {name: 'thirdPartyCookiesAllowed', group: 'websites',
+     message: 'settingThirdPartyCookies', hardened: false},
+    {name: 'doNotTrackEnabled', group: 'websites',
+     message: 'settingDoNotTrack', hardened: true},
+    {name: 'searchSuggestEnabled', group: 'services',
+     message: 'settingSearchSuggest', hardened: false},
+    {name: 'alternateErrorPagesEnabled', group: 'services',
+     message: 'settingAlternateErrorPages', hardened: false},
+    {name: 'spellingServiceEnabled', group: 'services',
+     message: 'settingSpellingService', hardened: false},
+    {name: 'translationServiceEnabled', group: 'services',
+     message: 'settingTranslationService', hardened: false}
+  ],
+
+  /**
+   * @param {PrivacySettings.Setting} setting A managed setting.
+   * @return {?ChromeSetting} The setting's API, or null if this version of
+   *     Chrome doesn't have it.
+   */
+  api: function(setting) {
+    var group = chrome.privacy[setting.group];
+    return (group && group[setting.name]) || null;
+  },
+
+  /**
+   * @return {Object<string, boolean>} The hardened preset, keyed by setting
+   *     name.
+   */
+  hardened: function() {
+    var values = {};
+    PrivacySettings.SETTINGS.forEach(function(setting) {
+      values[setting.name] = setting.hardened;
+    });
+    return values;
+  },
+
+  /**
+   * @param {Object<string, ?boolean>} values `PrivacySettings` values, keyed
+   *     by setting name.
+   * @return {!Object<string, boolean>} The values the user chose, leaving
+   *     out the settings left to Chrome.
+   */
+  chosen: function(values) {
+    var chosen = {};
+    Object.keys(values || {}).forEach(function(name) {
+      if (typeof values[name] === 'boolean')
+        chosen[name] = values[name];
+    });
+    return chosen;
+  },
+
+  /**
+   * Applies settings for a window type. A null value hands the setting back
+   * to Chrome, if this extension controls it; settings missing from
+   * `values` are left alone.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {Object<string, ?boolean>} values The values, keyed by setting
+   *     name.
+   */
+  apply: async function(windowType, values) {
+    const scope = ProxySettings.SCOPES[windowType];
+    for (const setting of PrivacySettings.SETTINGS) {
+      const api = PrivacySettings.api(setting);
+      if (!api || !(setting.name in values))
+        continue;
+      if (typeof values[setting.name] === 'boolean') {
+        await api.set({scope: scope, value: values[setting.name]});
+        continue;
+      }
+      const c = await api.get(
+          {incognito: windowType === ProxyProfiles.WindowTypes.INCOGNITO});
+      if (c.levelOfControl === ProxyFormController.LevelOfControl.CONTROLLING)
+        await api.clear({scope: scope});
+    }
+  }
+};
+
+/**
+ * A managed privacy setting.
+ *
+ * @typedef {{name: string, group: string, message: string,
+ *     hardened: boolean}}
+ */
+PrivacySettings.Setting;
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview This file implements the ProfileSync class, which mirrors the
+ * saved profiles through `chrome.storage.sync`, so that every device signed
+ * in to the browser has them.
+ */
+
+/**
+ * Once the user opts in, merges the local profiles with the synced ones
+ * whenever either changes. Each profile is synced as its own item, holding
+ * its latest change; the most recent change to a profile wins, and deletions
+ * are synced too.
+ *
+ * Only the profiles themselves are synced. Credentials, and which profile is
+ * active for each window type, stay on the device; a synced change to the
+ * active profile is applied the next time it is saved or switched to.
+ *
+ * @constructor
+ */
+function ProfileSync() {
+  /**
+   * The sync in progress, if any. Syncs run one at a time.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  // In split incognito mode, the regular instance syncs the profiles both
+  // instances share.
+  if (chrome.extension.inIncognitoContext)
+    return;
+
+  var sync = this.scheduleSync_.bind(this);
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'sync' ||
+        (area === 'local' && (changes.profiles || changes.profileDeletions ||
+                              changes.profileSync))) {
+      sync();
+    }
+  });
+  sync();
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The prefix of the synced items' keys, which end with the profile's name.
+ * @type {string}
+ */
+ProfileSync.ITEM_PREFIX = 'profile:';
+
+/**
+ * The ID of the notification listing profiles that couldn't be synced.
+ * @type {string}
+ */
+ProfileSync.NOTIFICATION_ID = 'profileSync';
+
+/**
+ * @return {boolean} True if the user has opted in to syncing profiles.
+ */
+ProfileSync.isEnabled = async function() {
+  const items = await chrome.storage.local.get('profileSync');
+  return !!items.profileSync;
+};
+
+/**
+ * @param {boolean} enabled Whether profiles should be synced.
+ */
+ProfileSync.setEnabled = async function(enabled) {
+  await chrome.storage.local.set({profileSync: enabled});
+};
+
+/**
+ * Resolves each profile's local and synced changes: the later one wins. When
+ * both are from the same time but differ, the synced one wins, so that every
+ * device ends up with the same profiles.
+ *
+ * @param {!Object<string, ProxyProfiles.Record>} local The local changes,
+ *     keyed by profile name.
+ * @param {!Object<string, ProxyProfiles.Record>} remote The synced changes,
+ *     keyed the same way.
+ * @return {{toLocal: !Object<string, ProxyProfiles.Record>,
+ *     toRemote: !Object<string, ProxyProfiles.Record>}} The changes to make
+ *     to each side.
+ */
+ProfileSync.merge = function(local, remote) {
+  var result = {toLocal: {}, toRemote: {}};
+  var names = Object.keys(local).concat(Object.keys(remote));
+  names.filter(function(name, i) {
+    return names.indexOf(name) === i;
+  }).forEach(function(name) {
+    var mine = local[name];
+    var theirs = remote[name];
+    if (!theirs || (mine && mine.modified > theirs.modified)) {
+      result.toRemote[name] = mine;
+    } else if (!mine || theirs.modified > mine.modified ||
+               JSON.stringify(theirs.profile) !==
+                   JSON.stringify(mine.profile)) {
+      result.toLocal[name] = theirs;
+    }
+  });
+  return result;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProfileSync.prototype = {
+  /**
+   * Queues a sync.
+   *
+   * @private
+   */
+  scheduleSync_: function() {
+    this.queue_ = this.queue_.then(this.sync_.bind(this))
+                             .catch(console.error);
+  },
+
+  /**
+   * Merges the local and synced profiles, if the user has opted in. Items
+   * the sync quota won't take, such as profiles with long PAC scripts, are
+   * left out, and listed in a notification.
+   *
+   * @private
+   */
+  sync_: async function() {
+    if (!await ProfileSync.isEnabled())
+      return;
+    const items = await chrome.storage.sync.get(null);
+    const remote = {};
+    Object.keys(items).forEach(function(key) {
+      if (key.indexOf(ProfileSync.ITEM_PREFIX) === 0)
+        remote[key.substring(ProfileSync.ITEM_PREFIX.length)] = items[key];
+    });
+
+    const profiles = new ProxyProfiles();
+    const changes = ProfileSync.merge(await profiles.getRecords(), remote);
+    if (Object.keys(changes.toLocal).length)
+      await profiles.putRecords(changes.toLocal);
+
+    const failed = [];
+    for (const name of Object.keys(changes.toRemote)) {
+      try {
+        await chrome.storage.sync.set(
+            {[ProfileSync.ITEM_PREFIX + name]: changes.toRemote[name]});
+      } catch (err) {
+        failed.push(name);
+      }
+    }
+    if (failed.length) {
+      chrome.notifications.create(ProfileSync.NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: 'icon128.png',
+        title: chrome.i18n.getMessage('profileSyncFailedTitle'),
+        message: chrome.i18n.getMessage('profileSyncFailed',
+                                        failed.join(', '))
+      });
+    }
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview This file implements the ProxyAuthHandler class, which
+ * answers authentication challenges from proxy servers with the credentials
+ * stored for the requesting window type.
+ */
+
+/**
+ * Binds to `webRequest.onAuthRequired`, and answers proxy challenges from
+ * `ProxyCredentials`. Each request gets one attempt; if the server rejects
+ * it, Chrome's own dialog is shown instead of retrying in a loop.
+ *
+ * @constructor
+ */
+function ProxyAuthHandler() {
+  /**
+   * IDs of requests that have already been answered once.
+   * @type {!Set<string>}
+   * @private
+   */
+  this.attempted_ = new Set();
+
+  var filter = {urls: ['<all_urls>']};
+  chrome.webRequest.onAuthRequired.addListener(
+      this.handleAuthRequired_.bind(this), filter, ['asyncBlocking']);
+
+  var forget = this.forgetRequest_.bind(this);
+  chrome.webRequest.onCompleted.addListener(forget, filter);
+  chrome.webRequest.onErrorOccurred.addListener(forget, filter);
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProxyAuthHandler.prototype = {
+  /**
+   * Handles an auth challenge. Challenges from web servers are left to
+   * Chrome.
+   *
+   * @param {!Object} details The challenge's details.
+   * @param {function(!BlockingResponse)} callback Receives the answer.
+   * @private
+   */
+  handleAuthRequired_: function(details, callback) {
+    if (!details.isProxy || this.attempted_.has(details.requestId)) {
+      callback({});
+      return;
+    }
+    this.attempted_.add(details.requestId);
+    this.findCredential_(details).then(function(credential) {
+      callback(credential ? {authCredentials: credential} : {});
+    }, function(err) {
+      console.error(err);
+      callback({});
+    });
+  },
+
+  /**
+   * @param {!Object} details The challenge's details.
+   * @return {?ProxyCredentials.Credential} The stored credential for the
+   *     challenging proxy, or null if there is none.
+   * @private
+   */
+  findCredential_: async function(details) {
+    const windowType = await this.windowTypeOf_(details.tabId);
+    const credentials = await ProxyCredentials.load(windowType);
+    const key = ProxyCredentials.keyFor(details.challenger.host,
+                                        details.challenger.port);
+    return credentials[key] || null;
+  },
+
+  /**
+   * @param {number} tabId The requesting tab, or -1 for requests made
+   *     outside a tab.
+   * @return {ProxyProfiles.WindowTypes} The tab's window type. Requests made
+   *     outside a tab, or from a tab that has closed or can't be looked up,
+   *     such as a prerender, are treated as coming from this instance's
+   *     window type.
+   * @private
+   */
+  windowTypeOf_: async function(tabId) {
+    if (tabId < 0)
+      return ProxySettings.contextWindowType();
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      return tab.incognito ? ProxyProfiles.WindowTypes.INCOGNITO :
+                             ProxyProfiles.WindowTypes.REGULAR;
+    } catch (err) {
+      return ProxySettings.contextWindowType();
+    }
+  },
+
+  /**
+   * Forgets a finished request.
+   *
+   * @param {!Object} details The request's details.
+   * @private
+   */
+  forgetRequest_: function(details) {
+    this.attempted_.delete(details.requestId);
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview This file implements the ProxyCommands class, which answers
+ * the keyboard shortcuts declared in the manifest.
+ */
+
+/**
+ * Binds to `commands.onCommand`. Shortcuts apply settings the same way the
+ * popup does, and confirm each switch by briefly badging every tab with the
+ * new proxy.
+ *
+ * @param {ProxyFailover} failover Forgets failovers in progress when a
+ *     shortcut applies new settings, as the popup does.
+ * @constructor
+ */
+function ProxyCommands(failover) {
+  /**
+   * @type {ProxyFailover}
+   * @private
+   */
+  this.failover_ = failover;
+
+  /**
+   * The command in progress, if any. Commands run one at a time, so that a
+   * held-down shortcut cycles through profiles in order.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  chrome.commands.onCommand.addListener(this.handleCommand_.bind(this));
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The commands declared in the manifest.
+ * @enum {string}
+ */
+ProxyCommands.Commands = {
+  TOGGLE_DIRECT: 'toggle-regular-direct',
+  CYCLE_INCOGNITO: 'cycle-incognito-profile',
+  EDIT_INCOGNITO: 'edit-incognito-settings'
+};
+
+/**
+ * How long a switch is shown on the badge, in milliseconds.
+ * @type {number}
+ */
+ProxyCommands.CONFIRM_MS = 3000;
+
+/**
+ * @param {Array<string>} names The saved profiles' names.
+ * @param {?string} active The active profile's name, if any.
+ * @return {?string} The profile after `active`, in the order the popup's
+ *     switcher lists them, wrapping around; or null if there are none.
+ */
+ProxyCommands.nextProfile = function(names, active) {
+  if (!names.length)
+    return null;
+  var sorted = names.slice().sort();
+  return sorted[(sorted.indexOf(active) + 1) % sorted.length];
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProxyCommands.prototype = {
+  /**
+   * @param {string} command The command's name.
+   * @private
+   */
+  handleCommand_: function(command) {
+    var handler = {
+      [ProxyCommands.Commands.TOGGLE_DIRECT]: this.toggleDirect_,
+      [ProxyCommands.Commands.CYCLE_INCOGNITO]: this.cycleIncognito_,
+      [ProxyCommands.Commands.EDIT_INCOGNITO]: this.editIncognito_
+    }[command];
+    if (handler)
+      this.queue_ = this.queue_.then(handler.bind(this)).catch(console.error);
+  },
+
+  /**
+   * Switches regular windows to a direct connection, or back to the settings
+   * saved before the last switch. Applying regular settings any other way
+   * forgets those; see `ProxySettings.apply`.
+   *
+   * @private
+   */
+  toggleDirect_: async function() {
+    const regular = ProxyProfiles.WindowTypes.REGULAR;
+    const items = await chrome.storage.local.get('directToggle');
+    const desired = await ProxySettings.readRequested(regular);
+    if (desired && desired.proxy.mode === 'direct' && items.directToggle) {
+      const config = items.directToggle;
+      await this.apply_(regular, config, ProxySettings.describe(config.proxy));
+      return;
+    }
+    // Without saved settings, switching back needs the ones in effect,
+    // which only the regular instance can read.
+    if (!desired && !ProxySettings.canApply(regular))
+      return;
+    const saved = desired || {
+      proxy: (await ProxySettings.readProxy(regular)).value,
+      restrictRtc: (await chrome.privacy.network.webRTCIPHandlingPolicy.get(
+          {incognito: false})).value
+    };
+    if (saved.proxy.mode === 'direct')
+      return;
+    const config = {proxy: {mode: 'direct'}, restrictRtc: saved.restrictRtc};
+    await this.apply_(regular, config, ProxySettings.describe(config.proxy));
+    await chrome.storage.local.set({directToggle: saved});
+  },
+
+  /**
+   * Activates the next saved profile for incognito windows.
+   *
+   * @private
+   */
+  cycleIncognito_: async function() {
+    if (!await chrome.extension.isAllowedIncognitoAccess())
+      return;
+    const incognito = ProxyProfiles.WindowTypes.INCOGNITO;
+    const profiles = new ProxyProfiles();
+    const all = await profiles.getAll();
+    const name = ProxyCommands.nextProfile(
+        Object.keys(all), await profiles.getActive(incognito));
+    if (!name)
+      return;
+    await profiles.setActive(incognito, name);
+    await this.apply_(incognito, all[name],
+                      chrome.i18n.getMessage('successfullySwitchedProfile',
+                                             name));
+  },
+
+  /**
+   * Opens the popup with its form pinned to incognito settings. Where Chrome
+   * won't open the popup, opens the same form in a tab.
+   *
+   * @private
+   */
+  editIncognito_: async function() {
+    const url = 'popup.html?windowType=' +
+                ProxyProfiles.WindowTypes.INCOGNITO;
+    try {
+      await chrome.action.setPopup({popup: url});
+      await chrome.action.openPopup();
+    } catch (err) {
+      await chrome.tabs.create({url: chrome.runtime.getURL(url)});
+    } finally {
+      await chrome.action.setPopup({popup: 'popup.html'});
+    }
+  },
+
+  /**
+   * Applies settings for a window type, and confirms the switch on the
+   * badge. The confirmation expires by itself if the service worker stops
+   * before clearing it.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {ProxySettings.Config} config The settings to apply.
+   * @param {string} title Describes the switch.
+   * @private
+   */
+  apply_: async function(windowType, config, title) {
+    await this.failover_.reset(windowType);
+    await ProxySettings.apply(windowType, config);
+    await ActionBadge.setAlert(ActionBadge.Sources.COMMAND, {
+      text: ActionBadge.label(config.proxy),
+      color: ActionBadge.MODE_COLORS[config.proxy.mode] ||
+             ActionBadge.MODE_COLORS.direct,
+      title: title,
+      expires: Date.now() + ProxyCommands.CONFIRM_MS
+    });
+    setTimeout(function() {
+      ActionBadge.setAlert(ActionBadge.Sources.COMMAND, null);
+    }, ProxyCommands.CONFIRM_MS);
+  }
+};
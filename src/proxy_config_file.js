@@ -0,0 +1,213 @@
+/**
+ * @fileoverview This file implements ProxyConfigFile, which converts the
+ * regular and incognito configurations to and from a versioned JSON document
+ * suitable for copying between machines.
+ */
+
+var ProxyConfigFile = {
+  /**
+   * Identifies documents written by this extension.
+   * @type {string}
+   */
+  FORMAT: 'incognito-proxy-config',
+
+  /**
+   * The document version written by `serialize`, and the newest version
+   * `parse` understands.
+   * @type {number}
+   */
+  VERSION: 1,
+
+  /**
+   * Proxy server schemes accepted by `chrome.proxy`.
+   * @type {Array<string>}
+   */
+  SCHEMES: ['http', 'https', 'quic', 'socks4', 'socks5'],
+
+  /**
+   * A window type without a proxy configuration, such as one whose setting
+   * is controlled by another extension, is written as null.
+   *
+   * @param {?ProxyConfigFile.WindowConfig} regular The regular window
+   *     configuration, or null if it is not available.
+   * @param {?ProxyConfigFile.WindowConfig} incognito The incognito window
+   *     configuration, or null if it is not available.
+   * @return {string} The JSON document.
+   */
+  serialize: function(regular, incognito) {
+    var doc = {
+      format: ProxyConfigFile.FORMAT,
+      version: ProxyConfigFile.VERSION,
+      regular: ProxyConfigFile.windowConfig_(regular),
+      incognito: ProxyConfigFile.windowConfig_(incognito)
+    };
+    return JSON.stringify(doc, null, 2);
+  },
+
+  /**
+   * Parses and validates a JSON document written by `serialize`.
+   *
+   * @param {string} text The JSON document.
+   * @return {{regular: ?ProxyConfigFile.WindowConfig,
+   *     incognito: ?ProxyConfigFile.WindowConfig}} The configurations it
+   *     contains, at least one of which is set.
+   * @throws {string} A description of the first invalid field.
+   */
+  parse: function(text) {
+    var doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (err) {
+      throw `not a JSON document (${err.message})`;
+    }
+    if (!ProxyConfigFile.isObject_(doc) ||
+        doc.format !== ProxyConfigFile.FORMAT)
+      throw `format: expected "${ProxyConfigFile.FORMAT}"`;
+    if (!Number.isInteger(doc.version) || doc.version < 1 ||
+        doc.version > ProxyConfigFile.VERSION)
+      throw `version: unsupported version ${JSON.stringify(doc.version)}`;
+
+    var result = {regular: null, incognito: null};
+    Object.keys(result).forEach(function(windowType) {
+      if (doc[windowType] != null) {
+        result[windowType] = ProxyConfigFile.checkWindowConfig_(
+            doc[windowType], windowType);
+      }
+    });
+    if (!result.regular && !result.incognito)
+      throw 'regular, incognito: expected at least one configuration';
+    return result;
+  },
+
+  /**
+   * @param {?ProxyConfigFile.WindowConfig} config A window configuration.
+   * @return {?ProxyConfigFile.WindowConfig} The fields of `config` that are
+   *     written, or null if it has no proxy configuration.
+   * @private
+   */
+  windowConfig_: function(config) {
+    if (!config || !config.proxy)
+      return null;
+    return {proxy: config.proxy, restrictRtc: config.restrictRtc};
+  },
+
+  /**
+   * @param {*} config The value to check.
+   * @param {string} path The field's path, for error messages.
+   * @return {ProxyConfigFile.WindowConfig} The checked configuration.
+   * @private
+   */
+  checkWindowConfig_: function(config, path) {
+    if (!ProxyConfigFile.isObject_(config))
+      throw `${path}: expected an object`;
+    var rtcTypes = Object.values(ProxyFormController.RestrictRtcTypes);
+    if (!rtcTypes.includes(config.restrictRtc))
+      throw `${path}.restrictRtc: expected one of ${rtcTypes.join(', ')}`;
+    return {
+      proxy: ProxyConfigFile.checkProxyConfig_(config.proxy, path + '.proxy'),
+      restrictRtc: config.restrictRtc
+    };
+  },
+
+  /**
+   * @param {*} proxy The value to check.
+   * @param {string} path The field's path, for error messages.
+   * @return {ProxyConfig} The checked configuration.
+   * @private
+   */
+  checkProxyConfig_: function(proxy, path) {
+    if (!ProxyConfigFile.isObject_(proxy))
+      throw `${path}: expected an object`;
+    var modes = Object.values(ProxyFormController.ProxyTypes);
+    if (!modes.includes(proxy.mode))
+      throw `${path}.mode: expected one of ${modes.join(', ')}`;
+
+    switch (proxy.mode) {
+      case ProxyFormController.ProxyTypes.PAC:
+        var pac = proxy.pacScript;
+        if (!ProxyConfigFile.isObject_(pac))
+          throw `${path}.pacScript: expected an object`;
+        if (typeof pac.url !== 'string' && typeof pac.data !== 'string')
+          throw `${path}.pacScript: expected a url or data string`;
+        if (pac.url !== undefined && typeof pac.url !== 'string')
+          throw `${path}.pacScript.url: expected a string`;
+        if (pac.data !== undefined && typeof pac.data !== 'string')
+          throw `${path}.pacScript.data: expected a string`;
+        if (pac.mandatory !== undefined && typeof pac.mandatory !== 'boolean')
+          throw `${path}.pacScript.mandatory: expected a boolean`;
+        break;
+      case ProxyFormController.ProxyTypes.FIXED:
+        ProxyConfigFile.checkRules_(proxy.rules, path + '.rules');
+        break;
+    }
+    return proxy;
+  },
+
+  /**
+   * @param {*} rules The value to check.
+   * @param {string} path The field's path, for error messages.
+   * @private
+   */
+  checkRules_: function(rules, path) {
+    if (!ProxyConfigFile.isObject_(rules))
+      throw `${path}: expected an object`;
+    var servers = ['singleProxy', 'proxyForHttp', 'proxyForHttps',
+                   'proxyForFtp', 'fallbackProxy'];
+    var found = false;
+    servers.forEach(function(key) {
+      if (rules[key] !== undefined) {
+        ProxyConfigFile.checkServer_(rules[key], `${path}.${key}`);
+        found = true;
+      }
+    });
+    if (!found)
+      throw `${path}: expected at least one proxy server`;
+    if (rules.bypassList !== undefined) {
+      if (!Array.isArray(rules.bypassList))
+        throw `${path}.bypassList: expected an array`;
+      rules.bypassList.forEach(function(entry, i) {
+        if (typeof entry !== 'string')
+          throw `${path}.bypassList[${i}]: expected a string`;
+        var rule = BypassList.parseEntry(entry);
+        if (rule.error)
+          throw `${path}.bypassList[${i}]: ${rule.error}`;
+      });
+    }
+  },
+
+  /**
+   * @param {*} server The value to check.
+   * @param {string} path The field's path, for error messages.
+   * @private
+   */
+  checkServer_: function(server, path) {
+    if (!ProxyConfigFile.isObject_(server))
+      throw `${path}: expected an object`;
+    if (server.scheme !== undefined &&
+        !ProxyConfigFile.SCHEMES.includes(server.scheme))
+      throw `${path}.scheme: expected one of ` +
+            ProxyConfigFile.SCHEMES.join(', ');
+    if (typeof server.host !== 'string' || !server.host)
+      throw `${path}.host: expected a host name`;
+    if (server.port !== undefined &&
+        !(Number.isInteger(server.port) &&
+          server.port > 0 && server.port < 65536))
+      throw `${path}.port: expected a port number`;
+  },
+
+  /**
+   * @param {*} value The value to check.
+   * @return {boolean} True if `value` is a non-array object.
+   * @private
+   */
+  isObject_: function(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+};
+
+/**
+ * A stored configuration for one window type.
+ *
+ * @typedef {{proxy: ProxyConfig, restrictRtc: string}}
+ */
+ProxyConfigFile.WindowConfig;
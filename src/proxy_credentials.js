@@ -0,0 +1,67 @@
+/**
+ * @fileoverview This file implements ProxyCredentials, which keeps the
+ * usernames and passwords for HTTP and HTTPS proxy servers in extension
+ * storage, separately for each window type.
+ */
+
+var ProxyCredentials = {
+  /**
+   * The proxy server schemes Chrome can authenticate to. SOCKS proxies never
+   * send an HTTP auth challenge.
+   * @type {Array<string>}
+   */
+  SCHEMES: ['http', 'https'],
+
+  /**
+   * @param {string} host A proxy server's host. IPv6 literals may be
+   *     bracketed.
+   * @param {number} port The server's port.
+   * @return {string} The key credentials for that server are stored under,
+   *     e.g. "proxy.example.com:3128".
+   */
+  keyFor: function(host, port) {
+    return host.toLowerCase().replace(/^\[(.*)\]$/, '$1') + ':' + port;
+  },
+
+  /**
+   * @param {ProxyServer} server A proxy server.
+   * @return {?string} The key for the server's credentials, or null if
+   *     Chrome can't authenticate to it.
+   */
+  keyForServer: function(server) {
+    var scheme = server.scheme || 'http';
+    if (ProxyCredentials.SCHEMES.indexOf(scheme) == -1)
+      return null;
+    return ProxyCredentials.keyFor(
+        server.host, server.port || PacScript.DefaultPorts[scheme]);
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {!Object<string, ProxyCredentials.Credential>} The stored
+   *     credentials for `windowType`, keyed by `keyFor`.
+   */
+  load: async function(windowType) {
+    const items = await chrome.storage.local.get('proxyCredentials');
+    return (items.proxyCredentials || {})[windowType] || {};
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @param {!Object<string, ProxyCredentials.Credential>} credentials The
+   *     credentials to store, keyed by `keyFor`.
+   */
+  store: async function(windowType, credentials) {
+    const items = await chrome.storage.local.get('proxyCredentials');
+    const all = items.proxyCredentials || {};
+    all[windowType] = credentials;
+    await chrome.storage.local.set({proxyCredentials: all});
+  }
+};
+
+/**
+ * A username and password for one proxy server.
+ *
+ * @typedef {{username: string, password: string}}
+ */
+ProxyCredentials.Credential;
@@ -15,14 +15,33 @@
  * changes the extensions badge to reflect the error state (yellow for
  * non-fatal errors, red for fatal).
  *
+ * Errors are recorded in extension storage, which outlives the service
+ * worker; see `ProxyErrorHandler.loadLog`. If the user asks for them,
+ * errors also raise notifications, one per distinct error.
+ *
+ * In split incognito mode, each instance hears of its own window type's
+ * errors, and the badge, notifications and popup error state of each are
+ * kept apart.
+ *
  * @constructor
  */
 function ProxyErrorHandler() {
+  /**
+   * The log write in progress, if any. Writes run one at a time, so that a
+   * burst of errors doesn't lose entries or raise duplicate notifications.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
   // Handle proxy error events.
   chrome.proxy.onProxyError.addListener(this.handleError_.bind(this));
 
   // Handle message events from popup.
   chrome.runtime.onMessage.addListener(this.handleOnRequest_.bind(this));
+
+  chrome.notifications.onClicked.addListener(
+      this.handleNotificationClick_.bind(this));
 };
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -32,16 +51,115 @@ function ProxyErrorHandler() {
  */
 ProxyErrorHandler.ErrorDetails;
 
+/**
+ * A recorded error. `profiles` holds the name of the profile active for each
+ * window type when the error happened, or null where none was. `windowType`
+ * is the window type the error happened in, or null where that isn't known.
+ *
+ * @typedef {{time: number, fatal: boolean, error: string, details: string,
+ *     profiles: Object<string, ?string>, windowType: ?string}}
+ */
+ProxyErrorHandler.LogEntry;
+
+/**
+ * How many errors the log keeps.
+ * @type {number}
+ */
+ProxyErrorHandler.LOG_LIMIT = 200;
+
+/**
+ * How long a notification stays the only one for its error, in milliseconds.
+ * Repeats of the error within that time update its count instead of raising
+ * a new notification.
+ * @type {number}
+ */
+ProxyErrorHandler.NOTIFICATION_THROTTLE_MS = 5 * 60 * 1000;
+
+/**
+ * The prefix of the error notifications' IDs.
+ * @type {string}
+ */
+ProxyErrorHandler.NOTIFICATION_PREFIX = 'proxyError:';
+
+/**
+ * @return {boolean} True if the user wants notifications of proxy errors.
+ */
+ProxyErrorHandler.isNotifying = async function() {
+  const items = await chrome.storage.local.get('errorNotifications');
+  return !!items.errorNotifications;
+};
+
+/**
+ * @param {boolean} enabled Whether proxy errors should raise notifications.
+ */
+ProxyErrorHandler.setNotifying = async function(enabled) {
+  await chrome.storage.local.set({errorNotifications: enabled});
+};
+
+/**
+ * @param {ProxyErrorHandler.ErrorDetails} details An error.
+ * @return {string} A description of the error for the user.
+ */
+ProxyErrorHandler.describe = function(details) {
+  return chrome.i18n.getMessage(
+      details.details ? 'errorProxyDetailedError' : 'errorProxyError',
+      [details.error, details.details]);
+};
+
+/**
+ * @return {Array<ProxyErrorHandler.LogEntry>} The recorded errors, oldest
+ *     first.
+ */
+ProxyErrorHandler.loadLog = async function() {
+  const items = await chrome.storage.local.get('errorLog');
+  return items.errorLog || [];
+};
+
+/**
+ * Counts the entries for each error code.
+ *
+ * @param {Array<ProxyErrorHandler.LogEntry>} log Recorded errors.
+ * @return {Array<{error: string, count: number}>} The error codes found,
+ *     most frequent first.
+ */
+ProxyErrorHandler.countErrors = function(log) {
+  var counts = {};
+  log.forEach(function(entry) {
+    counts[entry.error] = (counts[entry.error] || 0) + 1;
+  });
+  return Object.keys(counts).map(function(error) {
+    return {error: error, count: counts[error]};
+  }).sort(function(a, b) {
+    return b.count - a.count || (a.error < b.error ? -1 : 1);
+  });
+};
+
+/**
+ * @param {Array<ProxyErrorHandler.LogEntry>} log Recorded errors.
+ * @param {string} query Text that the error, details or a profile name must
+ *     contain, ignoring case. Empty to match every entry.
+ * @param {boolean} fatalOnly Whether to keep only fatal errors.
+ * @return {Array<ProxyErrorHandler.LogEntry>} The matching entries, in order.
+ */
+ProxyErrorHandler.filterLog = function(log, query, fatalOnly) {
+  query = query.trim().toLowerCase();
+  return log.filter(function(entry) {
+    if (fatalOnly && !entry.fatal)
+      return false;
+    if (!query)
+      return true;
+    var profiles = entry.profiles || {};
+    var fields = [entry.error, entry.details].concat(
+        Object.keys(profiles).map(function(key) { return profiles[key]; }));
+    return fields.some(function(field) {
+      return !!field && field.toLowerCase().indexOf(query) !== -1;
+    });
+  });
+};
+
 ///////////////////////////////////////////////////////////////////////////////
 
 ProxyErrorHandler.prototype = {
-  /**
-   * Details of the most recent error.
-   * @type {?ProxyErrorHandler.ErrorDetails}
-   * @private
-   */
-  lastError_: null,
-
    /**
     * Handle request messages from the popup.
     *
@@ -53,15 +171,25 @@ ProxyErrorHandler.prototype = {
     */
   handleOnRequest_: function(request, sender, sendResponse) {
     if (request.type === 'getError') {
-      sendResponse({result: this.getErrorDetails()});
+      this.getErrorDetails().then(function(details) {
+        sendResponse({result: details});
+      });
+      return true;
     } else if (request.type === 'clearError') {
-      this.clearErrorDetails();
-      sendResponse({result: true});
+      this.clearErrorDetails().then(function() {
+        sendResponse({result: true});
+      });
+      return true;
+    } else if (request.type === 'clearErrorLog') {
+      this.clearLog().then(function() {
+        sendResponse({result: true});
+      });
+      return true;
     }
   },
 
   /**
-   * Handles the error event, storing the error details for later use, and
+   * Handles the error event, recording the error details for later use, and
    * badges the browser action icon.
    *
    * @param {!ProxyErrorHandler.ErrorDetails} details The error details.
@@ -71,34 +199,142 @@ ProxyErrorHandler.prototype = {
     var RED = [255, 0, 0, 255];
     var YELLOW = [255, 205, 0, 255];
 
-    // Badge the popup icon.
-    var color = details.fatal ? RED : YELLOW;
-    chrome.action.setBadgeBackgroundColor({color: color});
-    chrome.action.setBadgeText({text: 'X'});
-    chrome.action.setTitle({
+    var alert = {
+      text: 'X',
+      color: details.fatal ? RED : YELLOW,
       title: chrome.i18n.getMessage('errorPopupTitle', details.error)
+    };
+
+    // Badge the popup icon, then record the error for display in the popup
+    // and the error log.
+    this.queue_ = this.queue_
+        .then(ActionBadge.setAlert.bind(null, ActionBadge.Sources.ERROR, alert))
+        .then(this.log_.bind(this, details))
+        .then(this.notify_.bind(this, details))
+        .catch(console.error);
+  },
+
+  /**
+   * Raises a notification for an error, if the user wants them. Identical
+   * errors share a notification: within `NOTIFICATION_THROTTLE_MS` of it
+   * being raised, repeats only update its count.
+   *
+   * @param {!ProxyErrorHandler.ErrorDetails} details The error details.
+   * @private
+   */
+  notify_: async function(details) {
+    if (!await ProxyErrorHandler.isNotifying())
+      return;
+    const id = ProxyErrorHandler.NOTIFICATION_PREFIX +
+               JSON.stringify([details.error, details.details || '']);
+    const key = ProxySettings.instanceKey('errorNotifications');
+    const items = await chrome.storage.session.get(key);
+    const shown = items[key] || {};
+    const now = Date.now();
+    let group = shown[id];
+    if (group && now - group.time < ProxyErrorHandler.NOTIFICATION_THROTTLE_MS)
+      group.count++;
+    else
+      group = {time: now, count: 1};
+    shown[id] = group;
+    await chrome.storage.session.set({[key]: shown});
+
+    let message = ProxyErrorHandler.describe(details);
+    if (group.count > 1) {
+      message = chrome.i18n.getMessage('errorNotificationRepeated',
+                                       [message, String(group.count)]);
+      // Updating a notification doesn't show it again.
+      await chrome.notifications.update(id, {message: message});
+      return;
+    }
+    await chrome.notifications.create(id, {
+      type: 'basic',
+      iconUrl: 'icon128.png',
+      title: chrome.i18n.getMessage(details.fatal ?
+          'errorNotificationFatalTitle' : 'errorNotificationTitle'),
+      message: message
     });
+  },
 
-    // Store the error for display in the popup.
-    this.lastError_ = JSON.stringify(details);
+  /**
+   * Opens the error log when an error notification is clicked, and clears
+   * the error as the popup does.
+   *
+   * @param {string} id The clicked notification's ID.
+   * @private
+   */
+  handleNotificationClick_: async function(id) {
+    if (id.indexOf(ProxyErrorHandler.NOTIFICATION_PREFIX) !== 0)
+      return;
+    chrome.notifications.clear(id);
+    chrome.tabs.create({url: chrome.runtime.getURL('error_log.html')});
+    await this.clearErrorDetails();
+  },
+
+  /**
+   * Appends an error to the log, dropping the oldest entries beyond
+   * `LOG_LIMIT`.
+   *
+   * @param {!ProxyErrorHandler.ErrorDetails} details The error details.
+   * @private
+   */
+  log_: async function(details) {
+    const profiles = new ProxyProfiles();
+    const active = {};
+    for (const windowType of Object.values(ProxyProfiles.WindowTypes))
+      active[windowType] = await profiles.getActive(windowType);
+    // Chrome doesn't say which window type's proxy failed, unless only one
+    // is looked after here.
+    const windowTypes = await ProxySettings.ownedWindowTypes();
+    const log = await ProxyErrorHandler.loadLog();
+    log.push({time: Date.now(), fatal: !!details.fatal, error: details.error,
+              details: details.details || '', profiles: active,
+              windowType: windowTypes.length === 1 ? windowTypes[0] : null});
+    await chrome.storage.local.set(
+        {errorLog: log.slice(-ProxyErrorHandler.LOG_LIMIT)});
   },
 
 
   /**
-   * Returns details of the last error handled.
+   * Returns details of the last error this instance handled, unless it has
+   * been cleared since.
    *
-   * @return {?ProxyErrorHandler.ErrorDetails}
+   * @return {?string} The error's `ProxyErrorHandler.LogEntry`, serialised.
+   */
+  getErrorDetails: async function() {
+    await this.queue_;
+    const windowTypes = await ProxySettings.ownedWindowTypes();
+    const log = (await ProxyErrorHandler.loadLog()).filter(function(entry) {
+      return !entry.windowType || windowTypes.indexOf(entry.windowType) != -1;
+    });
+    const key = ProxySettings.instanceKey('errorLogCleared');
+    const items = await chrome.storage.local.get(key);
+    const last = log[log.length - 1];
+    if (!last || last.time <= (items[key] || 0))
+      return null;
+    return JSON.stringify(last);
+  },
+
+
+  /**
+   * Clears last handled error. It stays in the log, but the next identical
+   * error raises a new notification.
    */
-  getErrorDetails: function() {
-    return this.lastError_;
+  clearErrorDetails: async function() {
+    await this.queue_;
+    await ActionBadge.setAlert(ActionBadge.Sources.ERROR, null);
+    await chrome.storage.local.set(
+        {[ProxySettings.instanceKey('errorLogCleared')]: Date.now()});
+    await chrome.storage.session.remove(
+        ProxySettings.instanceKey('errorNotifications'));
   },
 
 
   /**
-   * Clears last handled error.
+   * Clears the last handled error, and empties the log.
    */
-  clearErrorDetails: function() {
-    chrome.action.setBadgeText({text: ''});
-    this.lastError_ = null;
+  clearLog: async function() {
+    await this.clearErrorDetails();
+    await chrome.storage.local.remove('errorLog');
   }
 }
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview This file implements the ProxyFailover class, which switches
+ * a window type's manual proxy to a backup server when proxy errors pile up,
+ * and back to the primary server after a cooldown.
+ */
+
+/**
+ * Binds to `onProxyError` and the failback alarms. Chrome doesn't say which
+ * window type's proxy failed, so every window type this instance looks after
+ * with failover enabled and a manual proxy configured is switched. In split
+ * incognito mode, each instance only hears of its own window type's errors.
+ *
+ * Switches are recorded in extension storage; see `ProxyFailover.loadLog`.
+ * Recent errors are kept in session storage, so that they still count after
+ * the service worker stops.
+ *
+ * @constructor
+ */
+function ProxyFailover() {
+  /**
+   * The error check in progress, if any. Checks run one at a time, so that
+   * a burst of errors switches servers once.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  chrome.proxy.onProxyError.addListener(this.handleError_.bind(this));
+  chrome.alarms.onAlarm.addListener(this.handleAlarm_.bind(this));
+  chrome.runtime.onMessage.addListener(this.handleOnRequest_.bind(this));
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * A window type's failover policy. The proxy switches to the next backup
+ * after `errorCount` errors within `errorWindow` seconds, and back to the
+ * primary server `cooldown` minutes later.
+ *
+ * @typedef {{enabled: boolean, backups: Array<ProxyServer>,
+ *     errorCount: number, errorWindow: number, cooldown: number}}
+ */
+ProxyFailover.Policy;
+
+/**
+ * A recorded switch. `from` and `to` are servers as formatted by
+ * `RoutingRules.formatTarget`.
+ *
+ * @typedef {{time: number, windowType: string, from: string, to: string,
+ *     reason: string}}
+ */
+ProxyFailover.LogEntry;
+
+/**
+ * The policy used until the user sets one.
+ * @type {ProxyFailover.Policy}
+ */
+ProxyFailover.DEFAULT_POLICY = {
+  enabled: false,
+  backups: [],
+  errorCount: 3,
+  errorWindow: 60,
+  cooldown: 10
+};
+
+/**
+ * The longest `errorWindow` a policy may use, in seconds.
+ * @type {number}
+ */
+ProxyFailover.MAX_ERROR_WINDOW = 3600;
+
+/**
+ * The session storage key holding when recent proxy errors happened, from
+ * `Date.now()`.
+ * @type {string}
+ */
+ProxyFailover.ERRORS_KEY = 'failoverErrors';
+
+/**
+ * How many switches the log keeps.
+ * @type {number}
+ */
+ProxyFailover.LOG_LIMIT = 50;
+
+/**
+ * The prefix of the failback alarms' names, which end with the window type.
+ * @type {string}
+ */
+ProxyFailover.ALARM_PREFIX = 'failback:';
+
+/**
+ * Parses backup servers, one per line, in the form accepted by
+ * `RoutingRules.parseTarget`. Blank lines are ignored.
+ *
+ * @param {string} text The backup servers.
+ * @return {{servers: Array<ProxyServer>,
+ *     errors: Array<{line: number, message: string}>}} The valid servers, in
+ *     order, and a description of each invalid line.
+ */
+ProxyFailover.parseBackups = function(text) {
+  var result = {servers: [], errors: []};
+  text.split('\n').forEach(function(line, i) {
+    line = line.trim();
+    if (!line)
+      return;
+    var server = RoutingRules.parseTarget(line);
+    if (server)
+      result.servers.push(server);
+    else
+      result.errors.push({
+        line: i + 1,
+        message: chrome.i18n.getMessage('errorFailoverBackup', line)
+      });
+  });
+  return result;
+};
+
+/**
+ * @param {string} windowType "regular" or "incognito".
+ * @return {ProxyFailover.Policy} The stored policy for `windowType`.
+ */
+ProxyFailover.load = async function(windowType) {
+  const items = await chrome.storage.local.get('failover');
+  return Object.assign({}, ProxyFailover.DEFAULT_POLICY,
+                       (items.failover || {})[windowType]);
+};
+
+/**
+ * @param {string} windowType "regular" or "incognito".
+ * @param {ProxyFailover.Policy} policy The policy to store.
+ */
+ProxyFailover.store = async function(windowType, policy) {
+  const items = await chrome.storage.local.get('failover');
+  const all = items.failover || {};
+  all[windowType] = policy;
+  await chrome.storage.local.set({failover: all});
+};
+
+/**
+ * @param {string} windowType "regular" or "incognito".
+ * @return {boolean} True if `windowType` has switched to a backup server,
+ *     and not yet back.
+ */
+ProxyFailover.isFailedOver = async function(windowType) {
+  const items = await chrome.storage.local.get('failoverState');
+  return !!(items.failoverState || {})[windowType];
+};
+
+/**
+ * @return {Array<ProxyFailover.LogEntry>} The recorded switches, oldest
+ *     first.
+ */
+ProxyFailover.loadLog = async function() {
+  const items = await chrome.storage.local.get('failoverLog');
+  return items.failoverLog || [];
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProxyFailover.prototype = {
+  /**
+   * Handles request messages from the popup. Applying new settings there
+   * for a window type ends its failover, if one is in progress, since the
+   * primary server may have changed.
+   *
+   * @param {!{type: string, windowType: string}} request The request to
+   *     answer.
+   * @param {!MessageSender} sender Info about the script context that sent
+   *     the request.
+   * @param {!function} sendResponse Function to call to send a response.
+   * @private
+   */
+  handleOnRequest_: function(request, sender, sendResponse) {
+    if (request.type === 'resetFailover') {
+      this.reset(request.windowType).then(function() {
+        sendResponse({result: true});
+      });
+      return true;
+    }
+  },
+
+  /**
+   * Counts a proxy error, and checks whether to fail over.
+   *
+   * @param {!ProxyErrorHandler.ErrorDetails} details The error details.
+   * @private
+   */
+  handleError_: function(details) {
+    this.queue_ = this.queue_.then(
+        this.checkErrors_.bind(this, Date.now(), details.error))
+        .catch(console.error);
+  },
+
+  /**
+   * Fails over every window type whose policy has seen enough errors.
+   *
+   * @param {number} now When the latest error happened, from `Date.now()`.
+   * @param {string} reason The latest error.
+   * @private
+   */
+  checkErrors_: async function(now, reason) {
+    const key = ProxySettings.instanceKey(ProxyFailover.ERRORS_KEY);
+    const items = await chrome.storage.session.get(key);
+    const errorTimes = (items[key] || []).concat([now]);
+    let switched = false;
+    for (const windowType of await ProxySettings.ownedWindowTypes()) {
+      const policy = await ProxyFailover.load(windowType);
+      if (!policy.enabled || !policy.backups.length)
+        continue;
+      const recent = errorTimes.filter(function(time) {
+        return now - time <= policy.errorWindow * 1000;
+      });
+      if (recent.length >= policy.errorCount)
+        switched = await this.failover_(windowType, policy, reason) || switched;
+    }
+    // Errors seen before a switch don't count against the new server. Keep
+    // only the errors any policy could still count.
+    await chrome.storage.session.set({
+      [key]: switched ? [] : errorTimes.filter(function(time) {
+        return now - time <= ProxyFailover.MAX_ERROR_WINDOW * 1000;
+      })
+    });
+  },
+
+  /**
+   * Switches a window type to its next backup server, if it has one left.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {ProxyFailover.Policy} policy The window type's policy.
+   * @param {string} reason The error that caused the switch.
+   * @return {boolean} True if the proxy was switched.
+   * @private
+   */
+  failover_: async function(windowType, policy, reason) {
+    const states = await this.loadStates_();
+    let state = states[windowType];
+    if (!state) {
+      const current = await ProxySettings.readProxy(windowType);
+      if (current.levelOfControl !==
+              ProxyFormController.LevelOfControl.CONTROLLING ||
+          current.value.mode !== 'fixed_servers') {
+        return false;
+      }
+      state = {index: 0, primary: current.value};
+    }
+    if (state.index >= policy.backups.length)
+      return false;
+
+    const from = this.describe_(state.primary, state.index, policy);
+    const primary = state.primary;
+    state.index++;
+    await ProxySettings.applyProxy(windowType, {
+      mode: 'fixed_servers',
+      rules: {
+        singleProxy: policy.backups[state.index - 1],
+        bypassList: (primary.rules && primary.rules.bypassList) || []
+      }
+    });
+    states[windowType] = state;
+    await chrome.storage.local.set({failoverState: states});
+    await this.log_(windowType, from,
+                    this.describe_(primary, state.index, policy), reason);
+    chrome.alarms.create(ProxyFailover.ALARM_PREFIX + windowType,
+                         {delayInMinutes: policy.cooldown});
+    return true;
+  },
+
+  /**
+   * Switches a window type back to its primary server once the cooldown
+   * is over. If the primary server is still down, the errors it causes
+   * start a new failover.
+   *
+   * @param {!Alarm} alarm The alarm that fired.
+   * @private
+   */
+  handleAlarm_: async function(alarm) {
+    if (alarm.name.indexOf(ProxyFailover.ALARM_PREFIX) !== 0)
+      return;
+    const windowType = alarm.name.substring(
+        ProxyFailover.ALARM_PREFIX.length);
+    const states = await this.loadStates_();
+    const state = states[windowType];
+    if (!state)
+      return;
+    const policy = await ProxyFailover.load(windowType);
+    await ProxySettings.applyProxy(windowType, state.primary);
+    delete states[windowType];
+    await chrome.storage.local.set({failoverState: states});
+    await this.log_(windowType, this.describe_(state.primary, state.index,
+                                               policy),
+                    this.describe_(state.primary, 0, policy),
+                    chrome.i18n.getMessage('failoverReasonCooldown'));
+  },
+
+  /**
+   * Forgets a window type's failover, if one is in progress, without
+   * changing the proxy settings. Other window types keep theirs, and switch
+   * back when their cooldown is over.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   */
+  reset: async function(windowType) {
+    await chrome.storage.session.remove(
+        ProxySettings.instanceKey(ProxyFailover.ERRORS_KEY));
+    const states = await this.loadStates_();
+    if (states[windowType]) {
+      delete states[windowType];
+      await chrome.storage.local.set({failoverState: states});
+    }
+    await chrome.alarms.clear(ProxyFailover.ALARM_PREFIX + windowType);
+  },
+
+  /**
+   * @return {!Object<string, {index: number, primary: ProxyConfig}>} The
+   *     failovers in progress, keyed by window type. `index` is 0 for the
+   *     primary server, or the 1-based position of the backup in use.
+   * @private
+   */
+  loadStates_: async function() {
+    const items = await chrome.storage.local.get('failoverState');
+    return items.failoverState || {};
+  },
+
+  /**
+   * @param {ProxyConfig} primary The primary `fixed_servers` configuration.
+   * @param {number} index 0 for the primary server, or a backup's 1-based
+   *     position.
+   * @param {ProxyFailover.Policy} policy The policy listing the backups.
+   * @return {string} The server in use at `index`.
+   * @private
+   */
+  describe_: function(primary, index, policy) {
+    if (index > 0)
+      return RoutingRules.formatTarget(policy.backups[index - 1]);
+    const rules = primary.rules || {};
+    return RoutingRules.formatTarget(
+        rules.singleProxy || rules.proxyForHttp || rules.proxyForHttps ||
+        rules.proxyForFtp || rules.fallbackProxy || null);
+  },
+
+  /**
+   * Records a switch, dropping the oldest entries beyond `LOG_LIMIT`.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {string} from The server switched from.
+   * @param {string} to The server switched to.
+   * @param {string} reason Why.
+   * @private
+   */
+  log_: async function(windowType, from, to, reason) {
+    const log = await ProxyFailover.loadLog();
+    log.push({time: Date.now(), windowType: windowType, from: from, to: to,
+              reason: reason});
+    await chrome.storage.local.set(
+        {failoverLog: log.slice(-ProxyFailover.LOG_LIMIT)});
+  }
+};
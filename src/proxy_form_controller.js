@@ -42,11 +42,50 @@ var ProxyFormController = function(headerId, formId) {
    */
   this.configGroups_ = document.querySelectorAll(`#${formId} > fieldset`);
 
+  /**
+   * The saved profiles, and the switcher that activates them.
+   *
+   * @type {ProxyProfiles}
+   * @private
+   */
+  this.profiles_ = new ProxyProfiles();
+  this.profileSelect_ = document.getElementById('profileSelect');
+
+  /**
+   * The sandbox used to check PAC scripts typed into the editor.
+   *
+   * @type {PacSandboxClient}
+   * @private
+   */
+  this.pacSandbox_ = new PacSandboxClient();
+
+  /**
+   * The window type this form is pinned to, or null if the incognito toggle
+   * switches between them. The options page pins each of its forms with a
+   * `windowType` URL parameter. In split incognito mode, the incognito
+   * instance's popup can't change regular settings, so it is pinned to
+   * incognito ones.
+   *
+   * @type {?ProxyProfiles.WindowTypes}
+   * @private
+   */
+  this.pinnedWindowType_ = chrome.extension.inIncognitoContext ?
+      ProxyProfiles.WindowTypes.INCOGNITO :
+      ProxyFormController.pinnedWindowType(location);
+  if (this.pinnedWindowType_)
+    this.pinWindowType_();
+  // Forms embedded in the options page have no current tab to bypass, and
+  // leave pausing to the popup.
+  if (window.top !== window)
+    document.body.classList.add('embedded');
+
+  this.buildPrivacySettings_();
   this.bindEventHandlers_();
   this.readCurrentState_();
 
   // Handle errors
   this.handleProxyErrors_();
+  this.handleKillSwitch_();
 };
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -63,8 +102,34 @@ ProxyFormController.ProxyTypes = {
   SYSTEM: 'system'
 };
 
+/**
+ * The form group for routing rules, which are compiled to a PAC script.
+ * @type {string}
+ */
+ProxyFormController.RULES_GROUP = 'routing_rules';
+
+/**
+ * The suffixes of the manual proxy server inputs, e.g. "proxyHostHttps".
+ * @type {Array<string>}
+ */
+ProxyFormController.SERVER_TYPES = ['Http', 'Https', 'Ftp', 'Fallback'];
+
+/**
+ * The host access needed to answer proxy auth challenges, which can arrive
+ * for any request.
+ * @type {Array<string>}
+ */
+ProxyFormController.AUTH_ORIGINS = ['*://*/*'];
+
+/**
+ * The WebRTC IP handling policies Chrome supports, from the one exposing the
+ * most addresses to the one exposing the fewest.
+ * @enum {string}
+ */
 ProxyFormController.RestrictRtcTypes = {
   DEFAULT: 'default',
+  PUBLIC_AND_PRIVATE: 'default_public_and_private_interfaces',
+  PUBLIC_ONLY: 'default_public_interface_only',
   RESTRICT: 'disable_non_proxied_udp'
 };
 
@@ -86,17 +151,36 @@ ProxyFormController.LevelOfControl = {
   CONTROLLING: 'controlled_by_this_extension'
 };
 
+/**
+ * @param {Location|URL} url The page's URL.
+ * @return {?ProxyProfiles.WindowTypes} The window type named by the URL's
+ *     `windowType` parameter, or null if there is no valid one.
+ */
+ProxyFormController.pinnedWindowType = function(url) {
+  var windowType = new URLSearchParams(url.search).get('windowType');
+  return Object.values(ProxyProfiles.WindowTypes).indexOf(windowType) !== -1 ?
+      windowType : null;
+};
+
 ///////////////////////////////////////////////////////////////////////////////
 
 ProxyFormController.prototype = {
   regularConfig_: {
     proxy: null,
-    restrictRtc: null
+    restrictRtc: null,
+    routingRules: [],
+    credentials: {},
+    failover: null,
+    privacy: {}
   },
 
   incognitoConfig_: {
     proxy: null,
-    restrictRtc: null
+    restrictRtc: null,
+    routingRules: [],
+    credentials: {},
+    failover: null,
+    privacy: {}
   },
 
   /**
@@ -135,14 +219,17 @@ ProxyFormController.prototype = {
    */
   set manualPac(value) {
     document.getElementById('autoconfigData').value = value;
+    this.recalcPacLineNumbers_();
   },
 
 
   /**
-   * @return {Array<string>} A list of hostnames that should bypass the proxy.
+   * @return {Array<string>} A list of hostnames that should bypass the proxy,
+   *     normalised. Invalid entries are left out; see `checkBypassList_`.
    */
   get bypassList() {
-    return document.getElementById('bypassList').value.split(/\s*(?:,|^)\s*/m);
+    return BypassList.parse(document.getElementById('bypassList').value)
+        .entries;
   },
 
 
@@ -153,7 +240,62 @@ ProxyFormController.prototype = {
   set bypassList(data) {
     if (!data)
       data = [];
-    document.getElementById('bypassList').value = data.join(', ');
+    document.getElementById('bypassList').value = data.join('\n');
+    this.checkBypassList_();
+  },
+
+
+  /**
+   * @return {Array<RoutingRules.Rule>} The valid routing rules, in order.
+   */
+  get routingRules() {
+    return RoutingRules.parse(
+        document.getElementById('routingRules').value).rules;
+  },
+
+
+  /**
+   * @param {Array<RoutingRules.Rule>} rules The routing rules.
+   */
+  set routingRules(rules) {
+    document.getElementById('routingRules').value = RoutingRules.format(rules);
+  },
+
+
+  /**
+   * @return {ProxyFailover.Policy} The failover policy. Invalid backup
+   *     servers are left out; see `checkFailover_`.
+   */
+  get failover() {
+    var defaults = ProxyFailover.DEFAULT_POLICY;
+    var value = function(id, fallback) {
+      return parseInt(document.getElementById(id).value, 10) || fallback;
+    };
+    return {
+      enabled: document.getElementById('failoverEnabled').checked,
+      backups: ProxyFailover.parseBackups(
+          document.getElementById('failoverBackups').value).servers,
+      errorCount: value('failoverErrorCount', defaults.errorCount),
+      errorWindow: Math.min(value('failoverErrorWindow', defaults.errorWindow),
+                            ProxyFailover.MAX_ERROR_WINDOW),
+      cooldown: value('failoverCooldown', defaults.cooldown)
+    };
+  },
+
+
+  /**
+   * @param {?ProxyFailover.Policy} policy The failover policy. If null, the
+   *     default policy is shown.
+   */
+  set failover(policy) {
+    policy = policy || ProxyFailover.DEFAULT_POLICY;
+    document.getElementById('failoverEnabled').checked = policy.enabled;
+    document.getElementById('failoverBackups').value =
+        policy.backups.map(RoutingRules.formatTarget).join('\n');
+    document.getElementById('failoverErrorCount').value = policy.errorCount;
+    document.getElementById('failoverErrorWindow').value = policy.errorWindow;
+    document.getElementById('failoverCooldown').value = policy.cooldown;
+    this.checkFailover_();
   },
 
 
@@ -257,16 +399,60 @@ ProxyFormController.prototype = {
     this.setProxyImpl_('Fallback', data);
   },
 
+  /**
+   * @return {string} The selected WebRTC IP handling policy.
+   */
   get restrictRtc() {
-    var checkbox = document.getElementById('restrictRtc');
-    return checkbox.checked ?
-        ProxyFormController.RestrictRtcTypes.RESTRICT :
-        ProxyFormController.RestrictRtcTypes.DEFAULT;
+    return document.getElementById('restrictRtc').value;
   },
 
+  /**
+   * @param {string} data A WebRTC IP handling policy. A policy the selector
+   *     doesn't list is added to it, so that saving keeps it.
+   */
   set restrictRtc(data) {
-    var checkbox = document.getElementById('restrictRtc');
-    checkbox.checked = (data == ProxyFormController.RestrictRtcTypes.RESTRICT);
+    var select = document.getElementById('restrictRtc');
+    var known = Array.prototype.some.call(select.options, function(option) {
+      return option.value === data;
+    });
+    if (!known) {
+      var option = document.createElement('option');
+      option.value = option.textContent = data;
+      select.appendChild(option);
+    }
+    select.value = data;
+    this.recalcRestrictRtcHelp_();
+  },
+
+  /**
+   * @return {Object<string, ?boolean>} The chosen `PrivacySettings` values,
+   *     keyed by setting name, or null for those left to Chrome. Settings
+   *     that can't be changed are left out.
+   */
+  get privacy() {
+    var values = {};
+    PrivacySettings.SETTINGS.forEach(function(setting) {
+      var select = document.getElementById('privacy_' + setting.name);
+      if (select && !select.disabled)
+        values[setting.name] = select.value ? select.value === 'true' : null;
+    });
+    return values;
+  },
+
+  /**
+   * @param {Object<string, ?boolean>} values `PrivacySettings` values, keyed
+   *     by setting name, or null for those left to Chrome. The selects of
+   *     settings missing from `values` are disabled.
+   */
+  set privacy(values) {
+    PrivacySettings.SETTINGS.forEach(function(setting) {
+      var select = document.getElementById('privacy_' + setting.name);
+      if (!select)
+        return;
+      var value = values[setting.name];
+      select.disabled = value === undefined;
+      select.value = typeof value === 'boolean' ? String(value) : '';
+    });
   },
 
   /**
@@ -305,6 +491,68 @@ ProxyFormController.prototype = {
     document.getElementById('proxyPort' + type).value = data.port;
   },
 
+
+  /**
+   * Merges the usernames and passwords typed beside the manual proxy servers
+   * into stored credentials. A server whose username is blank loses its
+   * credentials; servers not in the form keep theirs, since PAC scripts and
+   * routing rules may still use them.
+   *
+   * @param {!Object<string, ProxyCredentials.Credential>} stored The stored
+   *     credentials for the window type being edited.
+   * @return {!Object<string, ProxyCredentials.Credential>} The merged
+   *     credentials.
+   * @private
+   */
+  readCredentials_: function(stored) {
+    var result = Object.assign({}, stored);
+    this.credentialTypes_().forEach(function(type) {
+      var server = this.getProxyImpl_(type);
+      var key = server && ProxyCredentials.keyForServer(server);
+      if (!key)
+        return;
+      var username = document.getElementById('proxyUser' + type).value;
+      if (username) {
+        result[key] = {
+          username: username,
+          password: document.getElementById('proxyPass' + type).value
+        };
+      } else {
+        delete result[key];
+      }
+    }, this);
+    return result;
+  },
+
+
+  /**
+   * Fills in the username and password beside each manual proxy server.
+   *
+   * @param {!Object<string, ProxyCredentials.Credential>} credentials The
+   *     stored credentials for the window type being edited.
+   * @private
+   */
+  recalcCredentials_: function(credentials) {
+    ProxyFormController.SERVER_TYPES.forEach(function(type) {
+      var server = this.getProxyImpl_(type);
+      var key = server && ProxyCredentials.keyForServer(server);
+      var credential = (key && credentials[key]) ||
+                       {username: '', password: ''};
+      document.getElementById('proxyUser' + type).value = credential.username;
+      document.getElementById('proxyPass' + type).value = credential.password;
+    }, this);
+  },
+
+
+  /**
+   * @return {Array<string>} The manual proxy server inputs in use: just HTTP
+   *     when one server is used for all protocols.
+   * @private
+   */
+  credentialTypes_: function() {
+    return this.singleProxy ? ['Http'] : ProxyFormController.SERVER_TYPES;
+  },
+
 ///////////////////////////////////////////////////////////////////////////////
 
   /**
@@ -315,24 +563,75 @@ ProxyFormController.prototype = {
    */
   readCurrentState_: async function() {
     this.isAllowedIncognitoAccess_ = await chrome.extension.isAllowedIncognitoAccess();
-    const errs = ["Failed to read state:"];
-    c = await chrome.proxy.settings.get({incognito: false});
-    if (this.accessOk_(c, errs, "regular/proxy")) {
-      this.regularConfig_.proxy = c.value;
-    }
-    c = await chrome.privacy.network.webRTCIPHandlingPolicy.get({incognito: false});
-    if (this.accessOk_(c, errs, "regular/privacy")) {
-      this.regularConfig_.restrictRtc = c.value;
+    const errs = [chrome.i18n.getMessage('errorReadingState')];
+    if (!ProxySettings.canApply(ProxyProfiles.WindowTypes.REGULAR)) {
+      await this.readRequested_(ProxyProfiles.WindowTypes.REGULAR);
+    } else {
+      c = await chrome.proxy.settings.get({incognito: false});
+      if (this.accessOk_(c, errs, 'settingProxy',
+                         ProxyProfiles.WindowTypes.REGULAR)) {
+        this.regularConfig_.proxy = c.value;
+      }
+      c = await chrome.privacy.network.webRTCIPHandlingPolicy.get(
+          {incognito: false});
+      if (this.accessOk_(c, errs, 'settingWebRtc',
+                         ProxyProfiles.WindowTypes.REGULAR)) {
+        this.regularConfig_.restrictRtc = c.value;
+      }
+      this.regularConfig_.privacy =
+          await this.readPrivacy_(ProxyProfiles.WindowTypes.REGULAR, errs);
     }
-    if (this.isAllowedIncognitoAccess_) {
+    if (this.isAllowedIncognitoAccess_ &&
+        !ProxySettings.canApply(ProxyProfiles.WindowTypes.INCOGNITO)) {
+      await this.readRequested_(ProxyProfiles.WindowTypes.INCOGNITO);
+    } else if (this.isAllowedIncognitoAccess_) {
       c = await chrome.proxy.settings.get({incognito: true});
-      if (this.accessOk_(c, errs, "incognito/proxy")) {
+      if (this.accessOk_(c, errs, 'settingProxy',
+                         ProxyProfiles.WindowTypes.INCOGNITO)) {
         this.incognitoConfig_.proxy = c.value;
       }
-      c = await chrome.privacy.network.webRTCIPHandlingPolicy.get({incognito: true});
-      if (this.accessOk_(c, errs, "incognito/privacy")) {
+      c = await chrome.privacy.network.webRTCIPHandlingPolicy.get(
+          {incognito: true});
+      if (this.accessOk_(c, errs, 'settingWebRtc',
+                         ProxyProfiles.WindowTypes.INCOGNITO)) {
         this.incognitoConfig_.restrictRtc = c.value;
       }
+      this.incognitoConfig_.privacy =
+          await this.readPrivacy_(ProxyProfiles.WindowTypes.INCOGNITO, errs);
+    }
+    if (this.isAllowedIncognitoAccess_) {
+      this.incognitoConfig_.routingRules =
+          await RoutingRules.load(ProxyProfiles.WindowTypes.INCOGNITO);
+      this.incognitoConfig_.credentials =
+          await ProxyCredentials.load(ProxyProfiles.WindowTypes.INCOGNITO);
+    }
+    this.regularConfig_.routingRules =
+        await RoutingRules.load(ProxyProfiles.WindowTypes.REGULAR);
+    this.regularConfig_.credentials =
+        await ProxyCredentials.load(ProxyProfiles.WindowTypes.REGULAR);
+    this.regularConfig_.failover =
+        await ProxyFailover.load(ProxyProfiles.WindowTypes.REGULAR);
+    this.incognitoConfig_.failover =
+        await ProxyFailover.load(ProxyProfiles.WindowTypes.INCOGNITO);
+    await this.recalcFailoverLog_();
+    document.getElementById('killSwitch').checked =
+        await KillSwitch.isEnabled();
+    document.getElementById('errorNotifications').checked =
+        await ProxyErrorHandler.isNotifying();
+    document.getElementById('profileSync').checked =
+        await ProfileSync.isEnabled();
+    const items = await chrome.storage.local.get('proxyCheckUrl');
+    document.getElementById('proxyCheckUrl').value = items.proxyCheckUrl || '';
+
+    // A paused window type is edited as it will be restored.
+    const pauses = await ProxyPause.load();
+    for (const windowType of Object.keys(pauses)) {
+      const previous = pauses[windowType].previous;
+      if (!previous)
+        continue;
+      const config = this.configFor_(windowType);
+      config.proxy = previous.proxy;
+      config.restrictRtc = previous.restrictRtc;
     }
 
     if (this.isIncognitoMode_()) {
@@ -340,18 +639,136 @@ ProxyFormController.prototype = {
     } else {
       this.recalcFormValues_(this.regularConfig_);
     }
+    await this.recalcProfileSelect_();
+    await this.recalcPause_();
 
+    if (this.pinnedWindowType_ === ProxyProfiles.WindowTypes.INCOGNITO &&
+        !this.isAllowedIncognitoAccess_) {
+      errs.push(chrome.i18n.getMessage('errorNoIncognitoAccess'));
+    }
     if (errs.length > 1) {
       this.generateAlert_(errs.join('\r\n'));
     }
   },
 
-  accessOk_: function(c, errs, what) {
+  /**
+   * Reads the `PrivacySettings` for a window type.
+   *
+   * @param {ProxyProfiles.WindowTypes} windowType The window type.
+   * @param {Array<string>} errs Receives a description of each setting this
+   *     extension can't control.
+   * @return {Object<string, ?boolean>} The values of the settings this
+   *     extension controls, keyed by setting name, and null for those it
+   *     could control but leaves to Chrome.
+   * @private
+   */
+  readPrivacy_: async function(windowType, errs) {
+    const values = {};
+    for (const setting of PrivacySettings.SETTINGS) {
+      const api = PrivacySettings.api(setting);
+      if (!api)
+        continue;
+      const c = await api.get(
+          {incognito: windowType === ProxyProfiles.WindowTypes.INCOGNITO});
+      if (!this.accessOk_(c, errs, setting.message, windowType))
+        continue;
+      values[setting.name] =
+          c.levelOfControl === ProxyFormController.LevelOfControl.CONTROLLING ?
+              c.value : null;
+    }
+    return values;
+  },
+
+  /**
+   * Reads the settings of a window type that the other instance looks after
+   * in split incognito mode, and Chrome won't show this one, as they were
+   * last saved. Privacy settings that weren't chosen are taken to be left to
+   * Chrome.
+   *
+   * @param {ProxyProfiles.WindowTypes} windowType The window type.
+   * @private
+   */
+  readRequested_: async function(windowType) {
+    const config = this.configFor_(windowType);
+    const requested = await ProxySettings.readRequested(windowType) || {
+      proxy: {mode: 'system'},
+      restrictRtc: ProxyFormController.RestrictRtcTypes.DEFAULT
+    };
+    config.proxy = requested.proxy;
+    config.restrictRtc = requested.restrictRtc;
+    config.privacy = {};
+    for (const setting of PrivacySettings.SETTINGS) {
+      if (PrivacySettings.api(setting))
+        config.privacy[setting.name] = null;
+    }
+    Object.assign(config.privacy, requested.privacy);
+  },
+
+  /**
+   * Adds a select for each of the `PrivacySettings`, choosing between
+   * leaving the setting to Chrome, turning it on and turning it off.
+   *
+   * @private
+   */
+  buildPrivacySettings_: function() {
+    var list = document.getElementById('privacySettings');
+    var choices = {'': 'privacyUnset', 'true': 'privacyOn',
+                   'false': 'privacyOff'};
+    PrivacySettings.SETTINGS.forEach(function(setting) {
+      var item = document.createElement('li');
+      var select = document.createElement('select');
+      select.id = 'privacy_' + setting.name;
+      select.disabled = true;
+      Object.keys(choices).forEach(function(value) {
+        var option = document.createElement('option');
+        option.value = value;
+        option.textContent = chrome.i18n.getMessage(choices[value]);
+        select.appendChild(option);
+      });
+      var label = document.createElement('label');
+      label.htmlFor = select.id;
+      label.textContent = chrome.i18n.getMessage(setting.message);
+      item.appendChild(select);
+      item.appendChild(label);
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Handler called in response to a click on "Harden incognito windows".
+   * Chooses the hardened preset's values; they apply when the form is saved.
+   *
+   * @private
+   */
+  hardenIncognito_: function() {
+    var hardened = PrivacySettings.hardened();
+    var values = this.privacy;
+    Object.keys(values).forEach(function(name) {
+      values[name] = hardened[name];
+    });
+    this.privacy = values;
+    this.restrictRtc = ProxyFormController.RestrictRtcTypes.RESTRICT;
+  },
+
+  /**
+   * @param {{levelOfControl: string}} c A setting, as read from Chrome.
+   * @param {Array<string>} errs Receives a description of the conflict, if
+   *     there is one.
+   * @param {string} setting The i18n message naming the setting.
+   * @param {ProxyProfiles.WindowTypes} windowType The setting's window type.
+   * @return {boolean} True if this extension can control the setting.
+   * @private
+   */
+  accessOk_: function(c, errs, setting, windowType) {
     if (c.levelOfControl === ProxyFormController.LevelOfControl.AVAILABLE ||
         c.levelOfControl === ProxyFormController.LevelOfControl.CONTROLLING) {
       return true;
     }
-    errs.push(`${what}: ${c.levelOfControl}`);
+    errs.push(ControlMonitor.describe({
+      setting: setting,
+      windowType: windowType,
+      levelOfControl: c.levelOfControl
+    }));
     return false;
   },
 
@@ -363,6 +780,73 @@ ProxyFormController.prototype = {
    */
   bindEventHandlers_: function() {
     this.form_.addEventListener('click', this.dispatchFormClick_.bind(this));
+    this.profileSelect_.addEventListener(
+        'change', this.switchProfile_.bind(this));
+    document.getElementById('profileSaveAs').addEventListener(
+        'click', this.saveAsProfile_.bind(this));
+    document.getElementById('profileDelete').addEventListener(
+        'click', this.deleteProfile_.bind(this));
+    document.getElementById('exportConfig').addEventListener(
+        'click', this.exportConfig_.bind(this));
+    document.getElementById('importConfig').addEventListener(
+        'click', function() {
+          document.getElementById('importConfigFile').click();
+        });
+    document.getElementById('importConfigFile').addEventListener(
+        'change', this.importConfig_.bind(this));
+
+    var pacEditor = document.getElementById('autoconfigData');
+    pacEditor.addEventListener(
+        'input', this.recalcPacLineNumbers_.bind(this));
+    pacEditor.addEventListener('scroll', function() {
+      document.getElementById('autoconfigDataLines').scrollTop =
+          pacEditor.scrollTop;
+    });
+    pacEditor.addEventListener('change', this.checkManualPac_.bind(this));
+
+    document.getElementById('bypassList').addEventListener(
+        'input', this.checkBypassList_.bind(this));
+    document.getElementById('failover').addEventListener(
+        'input', this.checkFailover_.bind(this));
+    document.getElementById('restrictRtc').addEventListener(
+        'change', this.recalcRestrictRtcHelp_.bind(this));
+    document.getElementById('hardenIncognito').addEventListener(
+        'click', this.hardenIncognito_.bind(this));
+    document.getElementById('pauseBar').addEventListener(
+        'click', this.pauseProxy_.bind(this));
+    document.getElementById('proxyCheckUrl').addEventListener(
+        'change', function(e) {
+          chrome.storage.local.set({proxyCheckUrl: e.target.value});
+        });
+    // Syncing starts as soon as the user opts in, without saving the form.
+    document.getElementById('profileSync').addEventListener(
+        'change', function(e) {
+          ProfileSync.setEnabled(e.target.checked).catch(console.error);
+        });
+
+    var simulate = this.simulateRoute_.bind(this);
+    document.getElementById('simulateUrl').addEventListener('input', simulate);
+    this.form_.addEventListener('input', simulate);
+    this.form_.addEventListener('change', simulate);
+
+    // Settings shared by both window types may be saved by another form,
+    // and profiles may arrive from another device.
+    var self = this;
+    chrome.storage.onChanged.addListener(function(changes, area) {
+      if (area !== 'local')
+        return;
+      if (changes.killSwitch)
+        document.getElementById('killSwitch').checked =
+            !!changes.killSwitch.newValue;
+      if (changes.errorNotifications)
+        document.getElementById('errorNotifications').checked =
+            !!changes.errorNotifications.newValue;
+      if (changes.profileSync)
+        document.getElementById('profileSync').checked =
+            !!changes.profileSync.newValue;
+      if (changes.profiles)
+        self.recalcProfileSelect_().catch(console.error);
+    });
   },
 
 
@@ -388,11 +872,23 @@ ProxyFormController.prototype = {
               ) {
       return this.toggleSingleProxyConfig_(e);
 
-    // Case 3: "Flip to incognito mode."
-    } else if (t.nodeName === 'BUTTON') {
+    // Case 3: "Convert to PAC script."
+    } else if (t.nodeName === 'BUTTON' && t.id === 'convertToPac') {
+      return this.convertToPac_(e);
+
+    // Case 4: "Test" beside a proxy server.
+    } else if (t.nodeName === 'BUTTON' && t.classList.contains('testProxy')) {
+      return this.testProxy_(e);
+
+    // Case 5: "Bypass host" and its siblings, for the current tab's site.
+    } else if (t.nodeName === 'BUTTON' && t.parentNode.id === 'bypassSite') {
+      return this.bypassSite_(e);
+
+    // Case 6: "Flip to incognito mode."
+    } else if (t.nodeName === 'BUTTON' && t.id === 'incognitoToggle') {
       return this.toggleIncognitoMode_(e);
 
-    // Case 4: Click on something random: maybe changing active config group?
+    // Case 7: Click on something random: maybe changing active config group?
     } else {
       // Walk up the tree until we hit `form > fieldset` or fall off the top
       while (t && (t.nodeName !== 'FIELDSET' ||
@@ -440,7 +936,7 @@ ProxyFormController.prototype = {
     for (i = 0; i < this.configGroups_.length; i++) {
       var el = this.configGroups_[i];
       var inputs = el.querySelectorAll(
-          "input:not([type='radio']), select, textarea");
+          "input:not([type='radio']), select, textarea, button");
       if (el.classList.contains('active')) {
         for (j = 0; j < inputs.length; j++) {
           inputs[j].removeAttribute('disabled');
@@ -468,44 +964,141 @@ ProxyFormController.prototype = {
     e.preventDefault();
     e.stopPropagation();
 
-    if (this.isIncognitoMode_()) {
-      this.incognitoConfig_.proxy = this.generateProxyConfig_();
-      this.incognitoConfig_.restrictRtc = this.restrictRtc;
-    } else {
-      this.regularConfig_.proxy = this.generateProxyConfig_();
-      this.regularConfig_.restrictRtc = this.restrictRtc;
+    if (!this.checkRoutingRules_()) {
+      this.generateAlert_(chrome.i18n.getMessage('errorRoutingRulesInvalid'));
+      return;
+    }
+    if (this.isActive_(ProxyFormController.ProxyTypes.FIXED) &&
+        !this.checkBypassList_()) {
+      this.generateAlert_(chrome.i18n.getMessage('errorBypassListInvalid'));
+      return;
+    }
+    if (!this.checkFailover_()) {
+      this.generateAlert_(chrome.i18n.getMessage('errorFailoverInvalid'));
+      return;
     }
 
-    chrome.runtime.sendMessage({type: 'clearError'});
-    try {
-      await chrome.proxy.settings.set({
-        scope: 'regular_only',
-        value: this.regularConfig_.proxy
-      });
-      await chrome.privacy.network.webRTCIPHandlingPolicy.set({
-        scope: 'regular_only',
-        value: this.regularConfig_.restrictRtc
-      });
-    } catch (err) {
-      this.generateAlert_(chrome.i18n.getMessage('errorSettingRegularProxy'));
+    const config = this.currentConfig_();
+    this.storeFormValues_(config);
+
+    if (!await this.checkAuthAccess_()) {
+      this.generateAlert_(
+          chrome.i18n.getMessage('errorProxyAuthNoPermission'));
+      return;
+    }
+    if (this.isActive_(ProxyFormController.ProxyTypes.PAC) &&
+        config.proxy.pacScript?.data && !await this.checkManualPac_()) {
+      this.generateAlert_(chrome.i18n.getMessage('errorPacScriptInvalid'));
       return;
     }
-    if (this.incognitoConfig_.proxy) {
+    for (const windowType of this.savedWindowTypes_()) {
+      const saved = this.configFor_(windowType);
+      await RoutingRules.store(windowType, saved.routingRules);
+      await ProxyCredentials.store(windowType, saved.credentials);
+      await ProxyFailover.store(windowType, saved.failover);
+    }
+
+    await KillSwitch.setEnabled(document.getElementById('killSwitch').checked);
+    await ProxyErrorHandler.setNotifying(
+        document.getElementById('errorNotifications').checked);
+
+    // The form doubles as the editor for the active profile.
+    const name = await this.profiles_.getActive(this.windowType_());
+    if (name)
+      await this.profiles_.save(name, config);
+
+    if (!await this.saveSettings_())
+      return;
+    if (this.pinnedWindowType_)
+      this.generateAlert_(chrome.i18n.getMessage('settingsSaved'));
+    else
+      window.close();
+  },
+
+  /**
+   * Makes sure the background page can answer proxy auth challenges, asking
+   * the user for host access if any credentials are stored. Must be called
+   * while handling a click.
+   *
+   * @return {boolean} True if there are no credentials, or access was
+   *     granted.
+   * @private
+   */
+  checkAuthAccess_: async function() {
+    const origins = ProxyFormController.AUTH_ORIGINS;
+    if (!Object.keys(this.regularConfig_.credentials).length &&
+        !Object.keys(this.incognitoConfig_.credentials).length) {
+      return true;
+    }
+    return await chrome.permissions.contains({origins: origins}) ||
+           await chrome.permissions.request({origins: origins});
+  },
+
+  /**
+   * Passes the regular and incognito configurations to the proxy and privacy
+   * APIs, alerting the user on failure. A pinned form only passes its own
+   * window type's. If one window type's settings can't be applied, those
+   * already applied are rolled back, so that a failed save doesn't leave
+   * half of the configurations in place.
+   *
+   * @param {Object<string, ProxySettings.Config>=} opt_configs The
+   *     configurations to apply, keyed by window type. Defaults to the
+   *     stored configurations.
+   * @return {boolean} True if the settings were saved, false otherwise.
+   * @private
+   */
+  saveSettings_: async function(opt_configs) {
+    const configs = opt_configs || {
+      regular: this.regularConfig_,
+      incognito: this.incognitoConfig_
+    };
+    const windowTypes = this.savedWindowTypes_().filter(function(windowType) {
+      return configs[windowType] && configs[windowType].proxy;
+    });
+    chrome.runtime.sendMessage({type: 'clearError'});
+    for (const windowType of windowTypes) {
+      await chrome.runtime.sendMessage({type: 'resetFailover',
+                                        windowType: windowType});
+      await chrome.runtime.sendMessage({type: 'endPause',
+                                        windowType: windowType});
+    }
+    const applied = {};
+    for (const windowType of windowTypes) {
+      // Recorded first, so that a partly applied window type is rolled back
+      // too.
+      applied[windowType] = await ProxySettings.readRequested(windowType);
       try {
-        await chrome.proxy.settings.set({
-          scope: 'incognito_persistent',
-          value: this.incognitoConfig_.proxy
-        });
-        await chrome.privacy.network.webRTCIPHandlingPolicy.set({
-          scope: 'incognito_persistent',
-          value: this.incognitoConfig_.restrictRtc
-        });
+        await ProxySettings.apply(windowType, configs[windowType]);
       } catch (err) {
-        this.generateAlert_(chrome.i18n.getMessage('errorSettingIncognitoProxy'));
-        return;
+        await this.rollBack_(applied);
+        this.generateAlert_(chrome.i18n.getMessage(
+            windowType === ProxyProfiles.WindowTypes.INCOGNITO ?
+                'errorSettingIncognitoProxy' : 'errorSettingRegularProxy'));
+        return false;
+      }
+    }
+    return true;
+  },
+
+  /**
+   * Restores the settings in effect before a failed save.
+   *
+   * @param {Object<string, ?ProxySettings.Config>} previous The settings
+   *     applied before the save, keyed by the window types it changed or
+   *     tried to change; null if this extension hadn't applied any.
+   * @private
+   */
+  rollBack_: async function(previous) {
+    for (const windowType of Object.keys(previous)) {
+      try {
+        if (previous[windowType])
+          await ProxySettings.apply(windowType, previous[windowType]);
+        else
+          await ProxySettings.clear(windowType);
+      } catch (err) {
+        console.error(`Couldn't roll back ${windowType} settings: ${err}`);
       }
     }
-    window.close();
   },
 
   /**
@@ -555,25 +1148,414 @@ ProxyFormController.prototype = {
         else
           return {mode: 'auto_detect'};
       case ProxyFormController.ProxyTypes.FIXED:
-        var config = {mode: 'fixed_servers'};
-        if (this.singleProxy) {
-          config.rules = {
-            singleProxy: this.singleProxy,
-            bypassList: this.bypassList
-          };
-        } else {
-          config.rules = {
-            proxyForHttp: this.httpProxy,
-            proxyForHttps: this.httpsProxy,
-            proxyForFtp: this.ftpProxy,
-            fallbackProxy: this.fallbackProxy,
-            bypassList: this.bypassList
-          };
-        }
-        return config;
+        return {mode: 'fixed_servers', rules: this.generateProxyRules_()};
+      case ProxyFormController.RULES_GROUP:
+        return {mode: 'pac_script',
+                pacScript: {data: RoutingRules.compile(this.routingRules),
+                            mandatory: true}};
     }
   },
 
+  /**
+   * Copies the form's values into a stored configuration.
+   *
+   * @param {{proxy: ProxyConfig, restrictRtc: string,
+   *     routingRules: Array<RoutingRules.Rule>,
+   *     credentials: !Object<string, ProxyCredentials.Credential>,
+   *     failover: ProxyFailover.Policy, privacy: !Object<string, boolean>}}
+   *     config The configuration to update.
+   * @private
+   */
+  storeFormValues_: function(config) {
+    config.proxy = this.generateProxyConfig_();
+    config.restrictRtc = this.restrictRtc;
+    config.routingRules = this.routingRules;
+    config.credentials = this.readCredentials_(config.credentials || {});
+    config.failover = this.failover;
+    config.privacy = this.privacy;
+  },
+
+  /**
+   * @param {string} id A config group's DOM ID.
+   * @return {boolean} True if that group is active.
+   * @private
+   */
+  isActive_: function(id) {
+    return document.getElementById(id).classList.contains('active');
+  },
+
+  /**
+   * Checks the routing rules if their group is active, and lists any invalid
+   * lines below the editor.
+   *
+   * @return {boolean} True if the rules can be saved, false otherwise.
+   * @private
+   */
+  checkRoutingRules_: function() {
+    var editor = document.getElementById('routingRules');
+    var status = document.getElementById('routingRulesStatus');
+    var errors = [];
+    if (this.isActive_(ProxyFormController.RULES_GROUP)) {
+      var parsed = RoutingRules.parse(editor.value);
+      errors = parsed.errors.map(function(error) {
+        return chrome.i18n.getMessage(
+            'errorRoutingRuleLine', [error.line, error.message]);
+      });
+      if (!parsed.rules.length && !errors.length)
+        errors.push(chrome.i18n.getMessage('errorRoutingRulesEmpty'));
+    }
+    status.textContent = errors.join('\n');
+    editor.classList.toggle('invalid', errors.length > 0);
+    return errors.length == 0;
+  },
+
+  /**
+   * Parses the manual proxy section of the form into a ProxyRules object.
+   *
+   * @see http://code.google.com/chrome/extensions/trunk/proxy.html
+   * @return {ProxyRules} The manual proxy rules represented by the form.
+   * @private
+   */
+  generateProxyRules_: function() {
+    if (this.singleProxy) {
+      return {
+        singleProxy: this.singleProxy,
+        bypassList: this.bypassList
+      };
+    }
+    return {
+      proxyForHttp: this.httpProxy,
+      proxyForHttps: this.httpsProxy,
+      proxyForFtp: this.ftpProxy,
+      fallbackProxy: this.fallbackProxy,
+      bypassList: this.bypassList
+    };
+  },
+
+  /**
+   * Handler called in response to a click on "Convert to PAC script". Turns
+   * the manual proxy servers and bypass list into an equivalent PAC script,
+   * and activates the automatic configuration group with that script loaded.
+   * Nothing is applied until the user saves.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  convertToPac_: function(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!this.checkBypassList_()) {
+      this.generateAlert_(chrome.i18n.getMessage('errorBypassListInvalid'));
+      return false;
+    }
+    var rules = this.generateProxyRules_();
+    if (!rules.singleProxy && !rules.proxyForHttp && !rules.proxyForHttps &&
+        !rules.proxyForFtp && !rules.fallbackProxy) {
+      this.generateAlert_(chrome.i18n.getMessage('errorConvertToPacNoServers'));
+      return false;
+    }
+    this.manualPac = PacScript.fromRules(rules);
+    this.pacURL = '';
+    this.changeActive_(
+        document.getElementById(ProxyFormController.ProxyTypes.PAC));
+    this.generateAlert_(chrome.i18n.getMessage('successfullyConvertedToPac'));
+    return false;
+  },
+
+  /**
+   * Parses the bypass list, and lists any invalid entries below it.
+   *
+   * @return {boolean} True if every entry is valid, false otherwise.
+   * @private
+   */
+  checkBypassList_: function() {
+    var textarea = document.getElementById('bypassList');
+    var list = document.getElementById('bypassListErrors');
+    var errors = BypassList.parse(textarea.value).errors;
+    list.textContent = '';
+    errors.forEach(function(error) {
+      var item = document.createElement('li');
+      item.textContent = error.message;
+      list.appendChild(item);
+    });
+    textarea.classList.toggle('invalid', errors.length > 0);
+    return errors.length == 0;
+  },
+
+  /**
+   * Checks the failover settings, and lists any invalid backup servers
+   * below them.
+   *
+   * @return {boolean} True if the settings can be saved, false otherwise.
+   * @private
+   */
+  checkFailover_: function() {
+    var textarea = document.getElementById('failoverBackups');
+    var status = document.getElementById('failoverStatus');
+    var parsed = ProxyFailover.parseBackups(textarea.value);
+    var errors = parsed.errors.map(function(error) {
+      return chrome.i18n.getMessage(
+          'errorRoutingRuleLine', [error.line, error.message]);
+    });
+    if (document.getElementById('failoverEnabled').checked &&
+        !parsed.servers.length && !errors.length) {
+      errors.push(chrome.i18n.getMessage('errorFailoverNoBackups'));
+    }
+    status.textContent = errors.join('\n');
+    textarea.classList.toggle('invalid', errors.length > 0);
+    return errors.length == 0;
+  },
+
+  /**
+   * Lists the most recent failover switches, newest first.
+   *
+   * @private
+   */
+  recalcFailoverLog_: async function() {
+    const log = await ProxyFailover.loadLog();
+    const list = document.getElementById('failoverLog');
+    list.textContent = '';
+    log.slice().reverse().forEach(function(entry) {
+      const item = document.createElement('li');
+      item.textContent = chrome.i18n.getMessage('failoverLogEntry', [
+          new Date(entry.time).toLocaleString(), entry.windowType,
+          entry.from, entry.to, entry.reason]);
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * Shows how the URL typed into the simulator would be routed, side by side
+   * for both window types. The window type being edited uses the form's
+   * unsaved values; the other uses its stored configuration.
+   *
+   * @private
+   */
+  simulateRoute_: function() {
+    var input = document.getElementById('simulateUrl');
+    var cells = {
+      regular: document.getElementById('simulateRegular'),
+      incognito: document.getElementById('simulateIncognito')
+    };
+    var url;
+    try {
+      url = new URL(input.value).href;
+    } catch (err) {
+      cells.regular.textContent = cells.incognito.textContent = '';
+      return;
+    }
+
+    var editing = this.windowType_();
+    var configs = {
+      regular: this.regularConfig_.proxy,
+      incognito: this.isAllowedIncognitoAccess_ ?
+          this.incognitoConfig_.proxy : null
+    };
+    configs[editing] = this.generateProxyConfig_();
+    for (var windowType in cells) {
+      cells[windowType].textContent = configs[windowType] ?
+          this.describeRoute_(ProxyRoute.forUrl(configs[windowType], url)) :
+          chrome.i18n.getMessage('routeUnavailable');
+    }
+  },
+
+  /**
+   * @param {{mode: string, server: ?ProxyServer, field: ?string,
+   *     entry: ?string}} route A route, as returned by `ProxyRoute.forUrl`.
+   * @return {string} A description of the route for the simulator.
+   * @private
+   */
+  describeRoute_: function(route) {
+    switch (route.mode) {
+      case ProxyFormController.ProxyTypes.SYSTEM:
+        return chrome.i18n.getMessage('routeSystem');
+      case ProxyFormController.ProxyTypes.PAC:
+      case ProxyFormController.ProxyTypes.AUTO:
+        return chrome.i18n.getMessage('routePac');
+    }
+    if (route.entry === '<loopback>')
+      return chrome.i18n.getMessage('routeLoopback');
+    if (route.entry !== null)
+      return chrome.i18n.getMessage('routeBypassed', route.entry);
+    if (!route.server)
+      return chrome.i18n.getMessage('routeDirect');
+    var server = route.server;
+    var port = server.port || PacScript.DefaultPorts[server.scheme || 'http'];
+    return chrome.i18n.getMessage('routeServer', [
+        `${server.scheme || 'http'}://${server.host}:${port}`, route.field]);
+  },
+
+  /**
+   * Handler called in response to a click on "Test" beside a proxy server.
+   * Asks the background page to fetch the check URL through that server,
+   * and shows the outcome.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  testProxy_: async function(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const button = e.target;
+    const server = this.getProxyImpl_(button.value);
+    if (!server) {
+      this.generateAlert_(chrome.i18n.getMessage('errorProxyTestNoServer'));
+      return false;
+    }
+    const input = document.getElementById('proxyCheckUrl');
+    let url;
+    try {
+      url = new URL(input.value || input.placeholder).href;
+    } catch (err) {
+      this.generateAlert_(String(err.message || err));
+      return false;
+    }
+    const origins = [new URL(url).origin + '/*'];
+    if (!await chrome.permissions.contains({origins: origins}) &&
+        !await chrome.permissions.request({origins: origins})) {
+      this.generateAlert_(
+          chrome.i18n.getMessage('errorProxyTestNoPermission', url));
+      return false;
+    }
+
+    button.disabled = true;
+    const response = await chrome.runtime.sendMessage(
+        {type: 'testProxy', server: server, url: url});
+    button.disabled = false;
+    if (response.error) {
+      this.generateAlert_(response.error);
+      return false;
+    }
+    const result = response.result;
+    const name = `${server.scheme}://${server.host}:${server.port}`;
+    if (result.error) {
+      this.generateAlert_(chrome.i18n.getMessage('proxyTestFailed',
+          [name, String(result.latency), result.error]));
+    } else {
+      this.generateAlert_(chrome.i18n.getMessage(
+          result.exitIp ? 'proxyTestSucceeded' : 'proxyTestSucceededNoIp',
+          [name, String(result.status), String(result.latency),
+           result.exitIp || '']));
+    }
+    return false;
+  },
+
+  /**
+   * Explains how much the selected WebRTC IP handling policy exposes.
+   *
+   * @private
+   */
+  recalcRestrictRtcHelp_: function() {
+    var select = document.getElementById('restrictRtc');
+    var option = select.options[select.selectedIndex];
+    document.getElementById('restrictRtcHelp').textContent =
+        option && option.dataset.help || '';
+  },
+
+  /**
+   * Handler called in response to a click in the pause bar. Pauses the
+   * window type being edited for the clicked number of minutes, or resumes
+   * it.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  pauseProxy_: async function(e) {
+    const t = e.target;
+    if (t.nodeName !== 'BUTTON')
+      return;
+    const request = t.id === 'pauseResume' ?
+        {type: 'resumeProxy', windowType: this.windowType_()} :
+        {type: 'pauseProxy', windowType: this.windowType_(),
+         minutes: parseInt(t.value, 10)};
+    const response = await chrome.runtime.sendMessage(request);
+    if (response.error)
+      this.generateAlert_(response.error);
+    await this.recalcPause_();
+  },
+
+  /**
+   * Shows whether the window type being edited is paused, and until when.
+   *
+   * @private
+   */
+  recalcPause_: async function() {
+    const pause = (await ProxyPause.load())[this.windowType_()];
+    document.getElementById('pauseStatus').textContent = pause ?
+        chrome.i18n.getMessage('pauseStatus',
+                               new Date(pause.until).toLocaleTimeString()) :
+        '';
+    document.getElementById('pauseResume').hidden = !pause;
+  },
+
+  /**
+   * Handler called in response to a click on "Bypass host", "Bypass domain"
+   * or "Remove". Asks the background page to change the bypass list for the
+   * current tab's window type, and shows the result.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  bypassSite_: async function(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const tabs = await chrome.tabs.query({active: true, currentWindow: true});
+    const tab = tabs[0];
+    const response = await chrome.runtime.sendMessage({
+      type: 'bypassSite',
+      action: e.target.value,
+      url: tab ? tab.url || '' : '',
+      incognito: !!(tab && tab.incognito)
+    });
+    if (response.error) {
+      this.generateAlert_(response.error);
+      return false;
+    }
+    const windowType = tab.incognito ? ProxyProfiles.WindowTypes.INCOGNITO :
+                                       ProxyProfiles.WindowTypes.REGULAR;
+    const config = this.configFor_(windowType);
+    config.proxy = response.result;
+    if (windowType === this.windowType_())
+      this.recalcFormValues_(config);
+    this.generateAlert_(chrome.i18n.getMessage('bypassSiteUpdated'));
+    return false;
+  },
+
+  /**
+   * Redraws the line number gutter beside the PAC script editor.
+   *
+   * @private
+   */
+  recalcPacLineNumbers_: function() {
+    var lines = this.manualPac.split('\n').length;
+    var numbers = [];
+    for (var i = 1; i <= lines; i++)
+      numbers.push(i);
+    var gutter = document.getElementById('autoconfigDataLines');
+    gutter.textContent = numbers.join('\n');
+    gutter.scrollTop = document.getElementById('autoconfigData').scrollTop;
+  },
+
+  /**
+   * Checks the PAC script in the editor in the sandbox, and shows the result
+   * below the editor.
+   *
+   * @return {boolean} True if the script is empty or valid, false otherwise.
+   * @private
+   */
+  checkManualPac_: async function() {
+    var status = document.getElementById('autoconfigDataStatus');
+    var editor = document.getElementById('autoconfigData');
+    var error = this.manualPac.trim() ?
+        await this.pacSandbox_.check(this.manualPac) : null;
+    status.textContent = error || '';
+    editor.classList.toggle('invalid', !!error);
+    return !error;
+  },
+
   /**
    * Sets the proper display classes based on the "Use the same proxy server
    * for all protocols" checkbox. Expects to be called as an event handler
@@ -605,6 +1587,64 @@ ProxyFormController.prototype = {
   },
 
 
+  /**
+   * @return {ProxyProfiles.WindowTypes} The window type being edited.
+   * @private
+   */
+  windowType_: function() {
+    return this.isIncognitoMode_() ? ProxyProfiles.WindowTypes.INCOGNITO :
+                                     ProxyProfiles.WindowTypes.REGULAR;
+  },
+
+
+  /**
+   * @return {{proxy: ProxyConfig, restrictRtc: string}} The stored
+   *     configuration for the window type being edited.
+   * @private
+   */
+  currentConfig_: function() {
+    return this.configFor_(this.windowType_());
+  },
+
+
+  /**
+   * @param {ProxyProfiles.WindowTypes} windowType A window type.
+   * @return {{proxy: ProxyConfig, restrictRtc: string}} The stored
+   *     configuration for `windowType`.
+   * @private
+   */
+  configFor_: function(windowType) {
+    return windowType === ProxyProfiles.WindowTypes.INCOGNITO ?
+        this.incognitoConfig_ : this.regularConfig_;
+  },
+
+
+  /**
+   * @return {Array<ProxyProfiles.WindowTypes>} The window types whose
+   *     configurations are saved when the form is submitted: both, unless
+   *     the form is pinned to one.
+   * @private
+   */
+  savedWindowTypes_: function() {
+    return this.pinnedWindowType_ ? [this.pinnedWindowType_] :
+                                    Object.values(ProxyProfiles.WindowTypes);
+  },
+
+
+  /**
+   * Locks the form to the pinned window type, hiding the incognito toggle.
+   *
+   * @private
+   */
+  pinWindowType_: function() {
+    document.body.classList.add('pinned');
+    if (this.pinnedWindowType_ === ProxyProfiles.WindowTypes.INCOGNITO) {
+      this.form_.parentNode.classList.add('incognito');
+      this.header_.innerHTML = 'Proxy Configuration (incognito)';
+    }
+  },
+
+
   /**
    * Toggles the form's incognito mode. Saves the current state to an object
    * property for later use, clears the form, and toggles the appropriate state.
@@ -614,7 +1654,7 @@ ProxyFormController.prototype = {
    */
   toggleIncognitoMode_: function(e) {
     var div = this.form_.parentNode;
-    var button = document.getElementsByTagName('button')[0];
+    var button = document.getElementById('incognitoToggle');
 
     // Cancel the button click.
     e.preventDefault();
@@ -631,21 +1671,172 @@ ProxyFormController.prototype = {
 
     if (this.isIncognitoMode_()) {
       // In incognito mode, switching to cognito.
-      this.incognitoConfig_.proxy = this.generateProxyConfig_();
-      this.incognitoConfig_.restrictRtc = this.restrictRtc;
+      this.storeFormValues_(this.incognitoConfig_);
       div.classList.remove('incognito');
       this.recalcFormValues_(this.regularConfig_);
       button.innerText = 'Configure incognito window settings.';
       this.header_.innerHTML = 'Proxy Configuration (regular)';
     } else {
       // In cognito mode, switching to incognito.
-      this.regularConfig_.proxy = this.generateProxyConfig_();
-      this.regularConfig_.restrictRtc = this.restrictRtc;
+      this.storeFormValues_(this.regularConfig_);
       div.classList.add('incognito');
       this.recalcFormValues_(this.incognitoConfig_);
       button.innerText = 'Configure regular window settings.';
       this.header_.innerHTML = 'Proxy Configuration (incognito)';
     }
+    this.recalcProfileSelect_();
+    this.recalcPause_();
+  },
+
+  /**
+   * Rebuilds the profile switcher from storage, selecting the profile that is
+   * active for the window type being edited.
+   *
+   * @private
+   */
+  recalcProfileSelect_: async function() {
+    const profiles = await this.profiles_.getAll();
+    const active = await this.profiles_.getActive(this.windowType_());
+    const select = this.profileSelect_;
+    while (select.options.length > 1)
+      select.remove(1);
+    Object.keys(profiles).sort().forEach(function(name) {
+      select.add(new Option(name, name));
+    });
+    select.value = (active && profiles[active]) ? active : '';
+  },
+
+  /**
+   * Handler called when a profile is picked from the switcher. Activates the
+   * profile for the window type being edited, loads it into the form, and
+   * applies it right away.
+   *
+   * @param {Event} e The `change` event to respond to.
+   * @private
+   */
+  switchProfile_: async function(e) {
+    const name = this.profileSelect_.value;
+    await this.profiles_.setActive(this.windowType_(), name || null);
+    if (!name)
+      return;
+
+    const profile = await this.profiles_.get(name);
+    const config = this.currentConfig_();
+    config.proxy = profile.proxy;
+    config.restrictRtc = profile.restrictRtc;
+    this.recalcFormValues_(config);
+    if (await this.saveSettings_()) {
+      this.generateAlert_(
+          chrome.i18n.getMessage('successfullySwitchedProfile', name));
+    }
+  },
+
+  /**
+   * Handler called in response to a click on "Save as profile". Saves the
+   * form under the name typed by the user, and activates it for the window
+   * type being edited. Replacing a saved profile needs the user's say-so.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  saveAsProfile_: async function(e) {
+    const input = document.getElementById('profileName');
+    const name = input.value.trim();
+    if (!name) {
+      this.generateAlert_(chrome.i18n.getMessage('errorProfileNameMissing'));
+      return;
+    }
+    if (await this.profiles_.get(name) &&
+        !window.confirm(
+            chrome.i18n.getMessage('profileOverwriteConfirm', name))) {
+      return;
+    }
+    const config = this.currentConfig_();
+    this.storeFormValues_(config);
+    await this.profiles_.save(name, config);
+    await this.profiles_.setActive(this.windowType_(), name);
+    input.value = '';
+    await this.recalcProfileSelect_();
+    await this.saveSettings_();
+  },
+
+  /**
+   * Handler called in response to a click on "Delete". Deletes the profile
+   * selected in the switcher. The current proxy settings are left alone.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  deleteProfile_: async function(e) {
+    const name = this.profileSelect_.value;
+    if (!name)
+      return;
+    await this.profiles_.remove(name);
+    await this.recalcProfileSelect_();
+  },
+
+  /**
+   * Handler called in response to a click on "Export". Downloads the saved
+   * regular and incognito configurations as a JSON document.
+   *
+   * @param {Event} e The `click` event to respond to.
+   * @private
+   */
+  exportConfig_: function(e) {
+    var json = ProxyConfigFile.serialize(
+        this.regularConfig_,
+        this.isAllowedIncognitoAccess_ ? this.incognitoConfig_ : null);
+    var url = URL.createObjectURL(
+        new Blob([json], {type: 'application/json'}));
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'incognito-proxy-config.json';
+    link.click();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+  },
+
+  /**
+   * Handler called when a file is picked for import. The whole document is
+   * validated before anything is applied, so that a bad file leaves the
+   * current settings untouched; if the settings it holds can't be applied,
+   * they are rolled back, and the form keeps the current ones.
+   *
+   * @param {Event} e The `change` event to respond to.
+   * @private
+   */
+  importConfig_: async function(e) {
+    var file = e.target.files[0];
+    e.target.value = '';
+    if (!file)
+      return;
+
+    var imported;
+    try {
+      imported = ProxyConfigFile.parse(await file.text());
+      if (imported.incognito && !this.isAllowedIncognitoAccess_)
+        throw chrome.i18n.getMessage('errorImportNeedsIncognito');
+    } catch (err) {
+      this.generateAlert_(
+          chrome.i18n.getMessage('errorImportingConfig', String(err)));
+      return;
+    }
+
+    const configs = {};
+    for (const windowType of this.savedWindowTypes_()) {
+      if (imported[windowType]) {
+        configs[windowType] = Object.assign(
+            {}, this.configFor_(windowType), imported[windowType]);
+      }
+    }
+    if (!await this.saveSettings_(configs))
+      return;
+    for (const windowType of Object.keys(configs)) {
+      const config = this.configFor_(windowType);
+      config.proxy = configs[windowType].proxy;
+      config.restrictRtc = configs[windowType].restrictRtc;
+    }
+    this.recalcFormValues_(this.currentConfig_());
+    this.generateAlert_(chrome.i18n.getMessage('successfullyImportedConfig'));
   },
 
   recalcFormValues_: function(config) {
@@ -658,14 +1849,24 @@ ProxyFormController.prototype = {
     // Normalize `auto_detect`
     if (c.mode === 'auto_detect')
       c.mode = 'pac_script';
-    // Activate one of the groups, based on `mode`.
-    this.changeActive_(document.getElementById(c.mode));
+    // Activate one of the groups, based on `mode`. A PAC script compiled from
+    // the stored routing rules activates the rules group instead.
+    const routingRules = config.routingRules || [];
+    this.routingRules = routingRules;
+    if (c.mode === 'pac_script' && routingRules.length &&
+        c.pacScript?.data === RoutingRules.compile(routingRules)) {
+      this.changeActive_(
+          document.getElementById(ProxyFormController.RULES_GROUP));
+    } else {
+      this.changeActive_(document.getElementById(c.mode));
+    }
     // Populate the PAC script
     if (c.pacScript) {
-      if (c.pacScript.url)
-        this.pacURL = c.pacScript.url;
+      this.pacURL = c.pacScript.url || '';
+      this.manualPac = c.pacScript.data || '';
     } else {
       this.pacURL = '';
+      this.manualPac = '';
     }
     // Evaluate the `rules`
     if (c.rules) {
@@ -688,8 +1889,13 @@ ProxyFormController.prototype = {
       this.fallbackProxy = null;
       this.bypassList = '';
     }
+    this.recalcCredentials_(config.credentials || {});
+    this.failover = config.failover;
     // Apply WebRTC restriction.
     this.restrictRtc = restrictRtc;
+    this.privacy = config.privacy || {};
+    document.getElementById('hardenIncognito').disabled =
+        !this.isIncognitoMode_();
   },
 
   /**
@@ -704,6 +1910,17 @@ ProxyFormController.prototype = {
         this.handleProxyErrorHandlerResponse_.bind(this));
   },
 
+  /**
+   * Tells the user if the kill switch is blocking incognito traffic.
+   *
+   * @private
+   */
+  handleKillSwitch_: async function() {
+    const response = await chrome.runtime.sendMessage({type: 'getKillSwitch'});
+    if (response && response.result)
+      this.generateAlert_(chrome.i18n.getMessage('killSwitchEngaged'));
+  },
+
   /**
    * Handles response from ProxyErrorHandler
    *
@@ -715,10 +1932,7 @@ ProxyFormController.prototype = {
       var error = JSON.parse(response.result);
       console.error(error);
       // TODO(mkwst): Do something more interesting
-      this.generateAlert_(
-          chrome.i18n.getMessage(
-              error.details ? 'errorProxyDetailedError' : 'errorProxyError',
-              [error.error, error.details]));
+      this.generateAlert_(ProxyErrorHandler.describe(error));
     }
   }
 };
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview This file implements the ProxyPause class, which switches a
+ * window type to a direct connection for a few minutes, then restores its
+ * settings.
+ */
+
+/**
+ * Answers `pauseProxy`, `resumeProxy` and `endPause` messages from the
+ * popup. Pauses are kept in extension storage and timed with alarms, so they
+ * survive the service worker stopping. While a window type is paused, its
+ * tabs' badges count down the minutes left.
+ *
+ * @param {ProxyFailover} failover Forgets failovers in progress, since the
+ *     restored settings name the primary server.
+ * @constructor
+ */
+function ProxyPause(failover) {
+  /**
+   * @type {ProxyFailover}
+   * @private
+   */
+  this.failover_ = failover;
+
+  /**
+   * The change in progress, if any. Changes run one at a time.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  chrome.alarms.onAlarm.addListener(this.handleAlarm_.bind(this));
+  chrome.runtime.onMessage.addListener(this.handleOnRequest_.bind(this));
+  // In split incognito mode, the regular instance can pause incognito
+  // windows, which the incognito instance switches to a direct connection
+  // and counts down.
+  var self = this;
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'local' && changes.proxyPauses)
+      self.schedule_(self.tick_.bind(self));
+  });
+
+  // Alarms missed while the browser was closed fire late, or not at all.
+  this.schedule_(this.tick_.bind(this));
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * A pause in progress: when it ends, the settings it restores, or null to
+ * hand them back to Chrome, and whether the direct connection has been
+ * applied. In split incognito mode, the instance that looks after the window
+ * type applies it; see `ProxySettings.canApply`.
+ *
+ * @typedef {{until: number, previous: ?ProxySettings.Config,
+ *     started: boolean}}
+ */
+ProxyPause.Pause;
+
+/**
+ * The pause lengths offered, in minutes.
+ * @type {Array<number>}
+ */
+ProxyPause.DURATIONS = [5, 15, 60];
+
+/**
+ * The prefix of the alarms ending pauses, whose names end with the window
+ * type.
+ * @type {string}
+ */
+ProxyPause.ALARM_PREFIX = 'pause:';
+
+/**
+ * The alarm that updates the countdowns every minute.
+ * @type {string}
+ */
+ProxyPause.TICK_ALARM = 'pauseTick';
+
+/**
+ * @return {!Object<string, ProxyPause.Pause>} The pauses in progress, keyed
+ *     by window type.
+ */
+ProxyPause.load = async function() {
+  const items = await chrome.storage.local.get('proxyPauses');
+  return items.proxyPauses || {};
+};
+
+/**
+ * @param {string} windowType "regular" or "incognito".
+ * @return {boolean} True if `windowType` is paused.
+ */
+ProxyPause.isPaused = async function(windowType) {
+  const pause = (await ProxyPause.load())[windowType];
+  return !!pause && pause.until > Date.now();
+};
+
+/**
+ * @param {number} ms Time left, in milliseconds.
+ * @return {string} The badge text counting it down, such as "15m".
+ */
+ProxyPause.countdown = function(ms) {
+  return Math.max(1, Math.ceil(ms / 60000)) + 'm';
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProxyPause.prototype = {
+  /**
+   * Handles request messages from the popup. Saving settings there ends any
+   * pause, without restoring what it replaced.
+   *
+   * @param {!{type: string, windowType: string, minutes: number}} request
+   *     The request to answer.
+   * @param {!MessageSender} sender Info about the script context that sent
+   *     the request.
+   * @param {!function} sendResponse Function to call to send a response.
+   * @private
+   */
+  handleOnRequest_: function(request, sender, sendResponse) {
+    let task;
+    if (request.type === 'pauseProxy')
+      task = this.pause_.bind(this, request.windowType, request.minutes);
+    else if (request.type === 'resumeProxy')
+      task = this.resume_.bind(this, request.windowType);
+    else if (request.type === 'endPause')
+      task = this.end_.bind(this, request.windowType);
+    else
+      return;
+    this.schedule_(task).then(function() {
+      sendResponse({result: true});
+    }, function(err) {
+      sendResponse({error: String(err)});
+    });
+    return true;
+  },
+
+  /**
+   * @param {!Alarm} alarm The alarm that fired.
+   * @private
+   */
+  handleAlarm_: function(alarm) {
+    if (alarm.name === ProxyPause.TICK_ALARM) {
+      this.schedule_(this.tick_.bind(this));
+    } else if (alarm.name.indexOf(ProxyPause.ALARM_PREFIX) === 0) {
+      this.schedule_(this.resume_.bind(
+          this, alarm.name.substring(ProxyPause.ALARM_PREFIX.length)));
+    }
+  },
+
+  /**
+   * Queues a change.
+   *
+   * @param {function(): !Promise} task The change.
+   * @return {!Promise} Settles when the change is done.
+   * @private
+   */
+  schedule_: function(task) {
+    const result = this.queue_.then(task);
+    this.queue_ = result.catch(console.error);
+    return result;
+  },
+
+  /**
+   * Switches a window type to a direct connection, remembering its settings.
+   * Pausing a window type again only changes when the pause ends.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {number} minutes How long to pause for.
+   * @private
+   */
+  pause_: async function(windowType, minutes) {
+    if (ProxyPause.DURATIONS.indexOf(minutes) == -1)
+      throw `Unsupported pause length: ${minutes}`;
+    const pauses = await ProxyPause.load();
+    const pause = pauses[windowType];
+    const until = Date.now() + minutes * 60000;
+    pauses[windowType] = {
+      until: until,
+      previous: pause ? pause.previous : await this.readPrevious_(windowType),
+      started: !!pause && pause.started
+    };
+    await chrome.storage.local.set({proxyPauses: pauses});
+    chrome.alarms.create(ProxyPause.ALARM_PREFIX + windowType, {when: until});
+    await this.tick_();
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {?ProxySettings.Config} The settings a pause of `windowType`
+   *     should restore, or null if it should hand them back to Chrome.
+   * @private
+   */
+  readPrevious_: async function(windowType) {
+    const requested = await ProxySettings.readRequested(windowType);
+    if (requested || !ProxySettings.canApply(windowType))
+      return requested;
+    return {
+      proxy: (await ProxySettings.readProxy(windowType)).value,
+      restrictRtc: (await chrome.privacy.network.webRTCIPHandlingPolicy.get(
+          {incognito: windowType === ProxyProfiles.WindowTypes.INCOGNITO}))
+          .value
+    };
+  },
+
+  /**
+   * Applies the direct connection for a window type's pause.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @private
+   */
+  start_: async function(windowType) {
+    await this.failover_.reset(windowType);
+    // Not stored as the desired settings, which the pause restores. The
+    // WebRTC policy stays as it was, so pausing doesn't leak local addresses
+    // the user chose to hide.
+    await ProxySettings.applyProxy(windowType, {mode: 'direct'});
+    const pauses = await ProxyPause.load();
+    if (pauses[windowType]) {
+      pauses[windowType].started = true;
+      await chrome.storage.local.set({proxyPauses: pauses});
+    }
+  },
+
+  /**
+   * Ends a window type's pause, restoring the settings it replaced.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @private
+   */
+  resume_: async function(windowType) {
+    const pause = (await ProxyPause.load())[windowType];
+    if (!pause)
+      return;
+    if (pause.previous)
+      await ProxySettings.apply(windowType, pause.previous);
+    else
+      await ProxySettings.clear(windowType);
+    await this.end_(windowType);
+  },
+
+  /**
+   * Forgets a window type's pause, without changing its settings.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @private
+   */
+  end_: async function(windowType) {
+    const pauses = await ProxyPause.load();
+    delete pauses[windowType];
+    await chrome.storage.local.set({proxyPauses: pauses});
+    await chrome.alarms.clear(ProxyPause.ALARM_PREFIX + windowType);
+    await this.tick_();
+  },
+
+  /**
+   * Ends overdue pauses, starts those the other instance left to this one,
+   * and updates the countdowns, for the window types this instance looks
+   * after. The tick alarm only runs while a pause is in progress.
+   *
+   * @private
+   */
+  tick_: async function() {
+    const pauses = await ProxyPause.load();
+    const now = Date.now();
+    const windowTypes = await ProxySettings.ownedWindowTypes();
+    for (const windowType of windowTypes) {
+      if (pauses[windowType] && pauses[windowType].until <= now) {
+        await this.resume_(windowType);
+        return;
+      }
+    }
+    for (const windowType of windowTypes) {
+      if (pauses[windowType] && !pauses[windowType].started)
+        await this.start_(windowType);
+    }
+    for (const windowType of windowTypes) {
+      const pause = pauses[windowType];
+      const alert = pause ? {
+        text: ProxyPause.countdown(pause.until - now),
+        color: [230, 120, 0, 255],
+        title: chrome.i18n.getMessage('pausedTitle',
+            new Date(pause.until).toLocaleTimeString()),
+        windowType: windowType
+      } : null;
+      await ActionBadge.setAlert(
+          windowType === ProxyProfiles.WindowTypes.INCOGNITO ?
+              ActionBadge.Sources.PAUSE_INCOGNITO :
+              ActionBadge.Sources.PAUSE_REGULAR,
+          alert);
+    }
+    if (Object.keys(pauses).length)
+      chrome.alarms.create(ProxyPause.TICK_ALARM, {periodInMinutes: 1});
+    else
+      await chrome.alarms.clear(ProxyPause.TICK_ALARM);
+  }
+};
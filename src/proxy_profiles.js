@@ -0,0 +1,188 @@
+/**
+ * @fileoverview This file implements the ProxyProfiles class, which keeps
+ * named proxy profiles in extension storage, and remembers which profile is
+ * active for each window type.
+ */
+
+/**
+ * Wraps extension storage with accessors for named profiles.
+ *
+ * @param {?StorageArea} storage The storage area to use. Defaults to
+ *     `chrome.storage.local`.
+ * @constructor
+ */
+var ProxyProfiles = function(storage) {
+  /**
+   * @type {StorageArea}
+   * @private
+   */
+  this.storage_ = storage || chrome.storage.local;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * A saved profile: a proxy config plus the WebRTC IP handling policy.
+ * `modified` is when it was last saved, from `Date.now()`; profiles saved
+ * before it was recorded don't have it.
+ *
+ * @typedef {{proxy: ProxyConfig, restrictRtc: string,
+ *     modified: (number|undefined)}}
+ */
+ProxyProfiles.Profile;
+
+/**
+ * A profile's latest change: the profile as saved, or null if it was
+ * deleted, and when.
+ *
+ * @typedef {{modified: number, profile: ?ProxyProfiles.Profile}}
+ */
+ProxyProfiles.Record;
+
+/**
+ * The window types a profile can be active for.
+ * @enum {string}
+ */
+ProxyProfiles.WindowTypes = {
+  REGULAR: 'regular',
+  INCOGNITO: 'incognito'
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProxyProfiles.prototype = {
+  /**
+   * @return {!Object<string, ProxyProfiles.Profile>} All saved profiles,
+   *     keyed by name.
+   */
+  getAll: async function() {
+    const items = await this.storage_.get('profiles');
+    return items.profiles || {};
+  },
+
+  /**
+   * @param {string} name The profile's name.
+   * @return {?ProxyProfiles.Profile} The profile, or null if there is none.
+   */
+  get: async function(name) {
+    const profiles = await this.getAll();
+    return profiles[name] || null;
+  },
+
+  /**
+   * Saves a profile, replacing any existing profile with the same name.
+   *
+   * @param {string} name The profile's name.
+   * @param {!ProxyProfiles.Profile} profile The profile to save.
+   */
+  save: async function(name, profile) {
+    const profiles = await this.getAll();
+    profiles[name] = {proxy: profile.proxy, restrictRtc: profile.restrictRtc,
+                      modified: Date.now()};
+    const deletions = await this.getDeletions_();
+    delete deletions[name];
+    await this.storage_.set(
+        {profiles: profiles, profileDeletions: deletions});
+  },
+
+  /**
+   * Deletes a profile, and deactivates it for any window type using it. The
+   * deletion is remembered, so that it can be synced.
+   *
+   * @param {string} name The profile's name.
+   */
+  remove: async function(name) {
+    await this.putRecords({[name]: {modified: Date.now(), profile: null}});
+  },
+
+  /**
+   * @return {!Object<string, ProxyProfiles.Record>} The latest change to
+   *     each profile, saved or deleted, keyed by name. Profiles without a
+   *     timestamp count as saved at 0.
+   */
+  getRecords: async function() {
+    const profiles = await this.getAll();
+    const deletions = await this.getDeletions_();
+    const records = {};
+    Object.keys(deletions).forEach(function(name) {
+      records[name] = {modified: deletions[name], profile: null};
+    });
+    Object.keys(profiles).forEach(function(name) {
+      const profile = profiles[name];
+      records[name] = {
+        modified: profile.modified || 0,
+        profile: {proxy: profile.proxy, restrictRtc: profile.restrictRtc}
+      };
+    });
+    return records;
+  },
+
+  /**
+   * Saves or deletes profiles, keeping the given timestamps. Deleted
+   * profiles are deactivated for any window type using them.
+   *
+   * @param {!Object<string, ProxyProfiles.Record>} records The changes,
+   *     keyed by profile name.
+   */
+  putRecords: async function(records) {
+    const profiles = await this.getAll();
+    const deletions = await this.getDeletions_();
+    const active = await this.getActiveNames_();
+    for (const name of Object.keys(records)) {
+      const record = records[name];
+      if (record.profile) {
+        profiles[name] = {proxy: record.profile.proxy,
+                          restrictRtc: record.profile.restrictRtc,
+                          modified: record.modified};
+        delete deletions[name];
+        continue;
+      }
+      delete profiles[name];
+      deletions[name] = record.modified;
+      for (const windowType in active) {
+        if (active[windowType] === name)
+          active[windowType] = null;
+      }
+    }
+    await this.storage_.set({profiles: profiles, profileDeletions: deletions,
+                             activeProfiles: active});
+  },
+
+  /**
+   * @param {ProxyProfiles.WindowTypes} windowType The window type.
+   * @return {?string} The name of the profile active for `windowType`.
+   */
+  getActive: async function(windowType) {
+    const active = await this.getActiveNames_();
+    return active[windowType] || null;
+  },
+
+  /**
+   * @param {ProxyProfiles.WindowTypes} windowType The window type.
+   * @param {?string} name The profile to activate, or null for none.
+   */
+  setActive: async function(windowType, name) {
+    const active = await this.getActiveNames_();
+    active[windowType] = name;
+    await this.storage_.set({activeProfiles: active});
+  },
+
+  /**
+   * @return {!Object<string, number>} When each deleted profile was deleted,
+   *     keyed by name.
+   * @private
+   */
+  getDeletions_: async function() {
+    const items = await this.storage_.get('profileDeletions');
+    return items.profileDeletions || {};
+  },
+
+  /**
+   * @return {!Object<string, ?string>} Active profile names by window type.
+   * @private
+   */
+  getActiveNames_: async function() {
+    const items = await this.storage_.get('activeProfiles');
+    return items.activeProfiles || {};
+  }
+};
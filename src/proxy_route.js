@@ -0,0 +1,140 @@
+/**
+ * @fileoverview This file implements ProxyRoute, which works out which proxy
+ * server Chrome would pick for a URL under a `fixed_servers` configuration,
+ * following Chrome's bypass rules.
+ */
+
+var ProxyRoute = {
+  /**
+   * The `ProxyRules` field Chrome consults for each URL scheme before
+   * falling back to `fallbackProxy`.
+   * @type {Object<string, string>}
+   */
+  SCHEME_FIELDS: {
+    http: 'proxyForHttp',
+    ws: 'proxyForHttp',
+    https: 'proxyForHttps',
+    wss: 'proxyForHttps',
+    ftp: 'proxyForFtp'
+  },
+
+  /**
+   * Works out how a URL would be routed.
+   *
+   * @param {ProxyConfig} config The proxy configuration.
+   * @param {string} url The URL.
+   * @return {{mode: string, server: ?ProxyServer, field: ?string,
+   *     entry: ?string}} The configuration's mode; the server the URL would
+   *     use, or null for DIRECT; the `ProxyRules` field that named that server
+   *     (or "bypassList"); and the bypass entry that matched, if any. For
+   *     `system` and `pac_script` modes, only `mode` is meaningful.
+   */
+  forUrl: function(config, url) {
+    var route = {mode: config.mode, server: null, field: null, entry: null};
+    if (config.mode !== 'fixed_servers')
+      return route;
+
+    var parsed = new URL(url);
+    var rules = config.rules || {};
+    var entry = ProxyRoute.matchBypass(rules.bypassList || [], parsed);
+    if (entry !== null) {
+      route.field = 'bypassList';
+      route.entry = entry;
+      return route;
+    }
+
+    var scheme = parsed.protocol.slice(0, -1);
+    var fields = ['singleProxy', ProxyRoute.SCHEME_FIELDS[scheme],
+                  'fallbackProxy'];
+    for (var i = 0; i < fields.length; i++) {
+      if (fields[i] && rules[fields[i]]) {
+        route.server = rules[fields[i]];
+        route.field = fields[i];
+        break;
+      }
+    }
+    return route;
+  },
+
+  /**
+   * @param {Array<string>} bypassList The bypass list entries.
+   * @param {URL} url The URL.
+   * @return {?string} The entry that sends the URL DIRECT, "<loopback>" for
+   *     Chrome's implicit loopback rule, or null if the URL is not bypassed.
+   */
+  matchBypass: function(bypassList, url) {
+    var rules = bypassList.map(BypassList.parseEntry);
+    var loopback = !rules.some(function(rule) {
+      return rule.type === BypassList.Types.NO_LOOPBACK;
+    });
+    if (loopback && ProxyRoute.isLoopback_(url))
+      return '<loopback>';
+    for (var i = 0; i < rules.length; i++) {
+      if (!rules[i].error && ProxyRoute.matchesRule_(rules[i], url))
+        return bypassList[i];
+    }
+    return null;
+  },
+
+  /**
+   * @param {!BypassList.Rule} rule A valid bypass rule.
+   * @param {URL} url The URL.
+   * @return {boolean} True if the rule matches the URL.
+   * @private
+   */
+  matchesRule_: function(rule, url) {
+    var host = ProxyRoute.hostOf_(url);
+    var scheme = url.protocol.slice(0, -1);
+    if (rule.scheme && rule.scheme !== scheme)
+      return false;
+    switch (rule.type) {
+      case BypassList.Types.LOCAL:
+        return host.indexOf('.') == -1 && !IpAddress.parse(host);
+      case BypassList.Types.CIDR:
+        return IpAddress.isInPrefix(IpAddress.parse(host),
+                                    IpAddress.parse(rule.address),
+                                    rule.prefix);
+      case BypassList.Types.HOST:
+        if (rule.port && rule.port !== ProxyRoute.portOf_(url))
+          return false;
+        var pattern = rule.pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                                  .replace(/\*/g, '.*');
+        return new RegExp('^' + pattern + '$').test(host);
+    }
+    return false;
+  },
+
+  /**
+   * @param {URL} url The URL.
+   * @return {boolean} True if Chrome would never proxy the URL's host.
+   * @private
+   */
+  isLoopback_: function(url) {
+    var host = ProxyRoute.hostOf_(url);
+    if (host === 'localhost' || /\.localhost$/.test(host))
+      return true;
+    var address = IpAddress.parse(host);
+    return IpAddress.isInPrefix(address, [127, 0, 0, 0], 8) ||
+           IpAddress.isInPrefix(address, IpAddress.parse('::1'), 128);
+  },
+
+  /**
+   * @param {URL} url The URL.
+   * @return {string} The URL's host, lowercase and without IPv6 brackets.
+   * @private
+   */
+  hostOf_: function(url) {
+    return url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  },
+
+  /**
+   * @param {URL} url The URL.
+   * @return {number} The URL's port, explicit or implied by its scheme.
+   * @private
+   */
+  portOf_: function(url) {
+    if (url.port)
+      return parseInt(url.port, 10);
+    return PacScript.URL_PORTS[url.protocol.slice(0, -1)] || -1;
+  }
+};
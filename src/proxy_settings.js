@@ -0,0 +1,320 @@
+/**
+ * @fileoverview This file implements ProxySettings, which reads and applies
+ * the proxy and WebRTC settings for a window type. It is shared by the popup
+ * and the background service worker.
+ *
+ * The extension runs in split incognito mode: incognito windows get their own
+ * instance of the service worker and popup, which looks after incognito
+ * settings while the regular instance looks after regular ones. Chrome only
+ * lets each instance read and change its own window type's settings, so the
+ * two share extension storage, and coordinate through it; see `canApply`.
+ */
+
+var ProxySettings = {
+  /**
+   * The setting scope that applies to each window type.
+   * @type {Object<string, string>}
+   */
+  SCOPES: {
+    regular: 'regular_only',
+    incognito: 'incognito_persistent'
+  },
+
+  /**
+   * The prefix of the session storage keys, ending with the window type,
+   * that are set while `applyProxy` runs.
+   * @type {string}
+   */
+  APPLYING_PREFIX: 'proxyApplying:',
+
+  /**
+   * How long an apply may take before `isApplying` stops counting it.
+   * @type {number}
+   */
+  APPLY_TIMEOUT_MS: 10000,
+
+  /**
+   * @return {boolean} True if incognito windows get their own instance of
+   *     the extension.
+   */
+  isSplit: function() {
+    return chrome.runtime.getManifest().incognito === 'split';
+  },
+
+  /**
+   * @return {string} The window type of the instance this code runs in.
+   */
+  contextWindowType: function() {
+    return chrome.extension.inIncognitoContext ?
+        ProxyProfiles.WindowTypes.INCOGNITO : ProxyProfiles.WindowTypes.REGULAR;
+  },
+
+  /**
+   * @return {Array<string>} The window types whose settings, badges and
+   *     errors this instance looks after. In split incognito mode that is
+   *     only its own; otherwise it is both, given incognito access.
+   */
+  ownedWindowTypes: async function() {
+    if (ProxySettings.isSplit())
+      return [ProxySettings.contextWindowType()];
+    const windowTypes = [ProxyProfiles.WindowTypes.REGULAR];
+    if (await chrome.extension.isAllowedIncognitoAccess())
+      windowTypes.push(ProxyProfiles.WindowTypes.INCOGNITO);
+    return windowTypes;
+  },
+
+  /**
+   * @param {string} key A storage key.
+   * @return {string} The key under which this instance keeps its own copy of
+   *     the state `key` names, so that the other instance doesn't overwrite
+   *     it.
+   */
+  instanceKey: function(key) {
+    return chrome.extension.inIncognitoContext ? key + ':incognito' : key;
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {boolean} True if this instance can read and change
+   *     `windowType`'s settings. In split incognito mode, each instance can
+   *     only reach its own window type's; the other's are read with
+   *     `readRequested`, and changed through `apply`.
+   */
+  canApply: function(windowType) {
+    return !ProxySettings.isSplit() ||
+           windowType === ProxySettings.contextWindowType();
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {{value: ProxyConfig, levelOfControl: string}} The proxy setting
+   *     in effect for `windowType`.
+   */
+  readProxy: async function(windowType) {
+    return await chrome.proxy.settings.get(
+        {incognito: windowType === ProxyProfiles.WindowTypes.INCOGNITO});
+  },
+
+  /**
+   * Applies a proxy configuration, and records it as Chrome reports it back,
+   * so that later changes by anything else can be detected. While it is
+   * being applied, `isApplying` is true, since the setting changes before
+   * it is recorded.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {ProxyConfig} proxy The proxy configuration to apply.
+   */
+  applyProxy: async function(windowType, proxy) {
+    const key = ProxySettings.APPLYING_PREFIX + windowType;
+    await chrome.storage.session.set({[key]: Date.now()});
+    try {
+      await chrome.proxy.settings.set({
+        scope: ProxySettings.SCOPES[windowType],
+        value: proxy
+      });
+      const applied = await ProxySettings.readProxy(windowType);
+      await ProxySettings.recordApplied(windowType, applied.value);
+    } finally {
+      await chrome.storage.session.remove(key);
+    }
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {boolean} True if a proxy configuration is being applied for
+   *     `windowType`. An apply cut short by its context closing stops
+   *     counting after `APPLY_TIMEOUT_MS`.
+   */
+  isApplying: async function(windowType) {
+    const key = ProxySettings.APPLYING_PREFIX + windowType;
+    const items = await chrome.storage.session.get(key);
+    return !!items[key] &&
+           Date.now() - items[key] < ProxySettings.APPLY_TIMEOUT_MS;
+  },
+
+  /**
+   * Records a proxy configuration as the one this extension applied.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {ProxyConfig} proxy The configuration, as Chrome reports it.
+   */
+  recordApplied: async function(windowType, proxy) {
+    const items = await chrome.storage.local.get('appliedProxy');
+    const all = items.appliedProxy || {};
+    all[windowType] = proxy;
+    await chrome.storage.local.set({appliedProxy: all});
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {?ProxyConfig} The configuration this extension last applied
+   *     for `windowType`, as Chrome reported it, or null if there is none.
+   */
+  readApplied: async function(windowType) {
+    const items = await chrome.storage.local.get('appliedProxy');
+    return (items.appliedProxy || {})[windowType] || null;
+  },
+
+  /**
+   * Applies the settings the user chose: a proxy configuration, WebRTC IP
+   * handling policy and, optionally, other privacy settings. They are stored
+   * as the desired settings for the window type, so that they can be
+   * restored if they drift. Only the privacy settings the user chose are
+   * stored; without `config.privacy`, the desired ones are kept.
+   *
+   * Settings this instance can't change are left to the other instance; see
+   * `ProxySettings.applyRequested`.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {ProxySettings.Config} config The settings to apply.
+   */
+  apply: async function(windowType, config) {
+    if (!ProxySettings.canApply(windowType)) {
+      await ProxySettings.request_(windowType, config);
+      return;
+    }
+    await ProxySettings.applyProxy(windowType, config.proxy);
+    // Settings saved by the direct connection shortcut are only restored
+    // over the direct connection it applied.
+    if (windowType === ProxyProfiles.WindowTypes.REGULAR)
+      await chrome.storage.local.remove('directToggle');
+    await chrome.privacy.network.webRTCIPHandlingPolicy.set({
+      scope: ProxySettings.SCOPES[windowType],
+      value: config.restrictRtc
+    });
+    if (config.privacy)
+      await PrivacySettings.apply(windowType, config.privacy);
+    const items = await chrome.storage.local.get('desiredConfig');
+    const all = items.desiredConfig || {};
+    const previous = all[windowType];
+    all[windowType] = {
+      proxy: await ProxySettings.readApplied(windowType),
+      restrictRtc: config.restrictRtc,
+      privacy: config.privacy ? PrivacySettings.chosen(config.privacy) :
+                                (previous && previous.privacy) || {}
+    };
+    await chrome.storage.local.set({desiredConfig: all});
+  },
+
+  /**
+   * Hands `windowType`'s proxy and WebRTC settings back to Chrome, and
+   * forgets the settings `apply` stored for it. Like `apply`, leaves
+   * settings this instance can't change to the other instance.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   */
+  clear: async function(windowType) {
+    if (!ProxySettings.canApply(windowType)) {
+      await ProxySettings.request_(windowType, null);
+      return;
+    }
+    const scope = ProxySettings.SCOPES[windowType];
+    await chrome.proxy.settings.clear({scope: scope});
+    await chrome.privacy.network.webRTCIPHandlingPolicy.clear({scope: scope});
+    const items =
+        await chrome.storage.local.get(['appliedProxy', 'desiredConfig']);
+    ['appliedProxy', 'desiredConfig'].forEach(function(key) {
+      items[key] = items[key] || {};
+      delete items[key][windowType];
+    });
+    await chrome.storage.local.set(items);
+  },
+
+  /**
+   * Leaves a window type's settings to the other instance.
+   *
+   * @param {string} windowType "regular" or "incognito".
+   * @param {?ProxySettings.Config} config The settings to apply, or null to
+   *     clear them.
+   * @private
+   */
+  request_: async function(windowType, config) {
+    const items = await chrome.storage.local.get('applyRequests');
+    const requests = items.applyRequests || {};
+    requests[windowType] = config;
+    await chrome.storage.local.set({applyRequests: requests});
+  },
+
+  /**
+   * Applies, or clears, the settings the other instance left to this one.
+   *
+   * @return {boolean} True if any were applied.
+   */
+  applyRequested: async function() {
+    const items = await chrome.storage.local.get('applyRequests');
+    const requests = items.applyRequests || {};
+    const windowTypes = Object.keys(requests).filter(ProxySettings.canApply);
+    if (!windowTypes.length)
+      return false;
+    const configs = {};
+    windowTypes.forEach(function(windowType) {
+      configs[windowType] = requests[windowType];
+      delete requests[windowType];
+    });
+    await chrome.storage.local.set({applyRequests: requests});
+    for (const windowType of windowTypes) {
+      if (configs[windowType])
+        await ProxySettings.apply(windowType, configs[windowType]);
+      else
+        await ProxySettings.clear(windowType);
+    }
+    return true;
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {?ProxySettings.Config} The settings `apply` was last given for
+   *     `windowType`: those waiting for the other instance, if any, or else
+   *     the desired ones. Null if there are none, or they are being cleared.
+   */
+  readRequested: async function(windowType) {
+    const requests =
+        (await chrome.storage.local.get('applyRequests')).applyRequests || {};
+    if (windowType in requests)
+      return requests[windowType];
+    return await ProxySettings.readDesired(windowType);
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {?ProxySettings.Config} The settings last applied by `apply`,
+   *     with the proxy configuration as Chrome reported it, or null if there
+   *     are none.
+   */
+  readDesired: async function(windowType) {
+    const items = await chrome.storage.local.get('desiredConfig');
+    return (items.desiredConfig || {})[windowType] || null;
+  },
+
+  /**
+   * @param {ProxyConfig} proxy A proxy configuration.
+   * @return {string} A one-line summary, such as
+   *     "fixed_servers socks5://10.0.0.1:1080".
+   */
+  describe: function(proxy) {
+    if (!proxy)
+      return '';
+    switch (proxy.mode) {
+      case 'fixed_servers':
+        var rules = proxy.rules || {};
+        var servers = [rules.singleProxy, rules.proxyForHttp,
+                       rules.proxyForHttps, rules.proxyForFtp,
+                       rules.fallbackProxy].filter(Boolean);
+        return [proxy.mode].concat(
+            servers.map(RoutingRules.formatTarget)).join(' ');
+      case 'pac_script':
+        var pacScript = proxy.pacScript || {};
+        return proxy.mode + ' ' + (pacScript.url || '(inline)');
+    }
+    return proxy.mode;
+  }
+};
+
+/**
+ * The settings for one window type. `privacy` holds `PrivacySettings` values
+ * keyed by setting name; null leaves a setting to Chrome.
+ *
+ * @typedef {{proxy: ProxyConfig, restrictRtc: string,
+ *     privacy: (Object<string, ?boolean>|undefined)}}
+ */
+ProxySettings.Config;
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview This file implements the ProxyTester class, which checks
+ * that a proxy server works by fetching a URL through it, and reports the
+ * latency, HTTP status and exit IP.
+ */
+
+/**
+ * Answers `testProxy` requests from the popup. Chrome can't send a single
+ * request through a chosen proxy, so while a test runs the proxy setting of
+ * this instance's window type, which its own requests follow, is replaced by
+ * a PAC script that sends the check URL's host
+ * through the tested server and everything else where it went before; the
+ * previous setting is restored afterwards.
+ *
+ * The previous setting is also kept in storage until it is restored, so that
+ * a test cut short by the service worker stopping is undone when it starts
+ * again.
+ *
+ * @constructor
+ */
+function ProxyTester() {
+  /**
+   * The test in progress, if any. Tests run one at a time, since each one
+   * replaces the proxy setting.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  chrome.runtime.onMessage.addListener(this.handleOnRequest_.bind(this));
+  this.queue_ = this.restoreInterrupted_().catch(console.error);
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The outcome of a test. `status` and `exitIp` are null if the fetch failed,
+ * and `error` describes why.
+ *
+ * @typedef {{ok: boolean, latency: number, status: ?number, exitIp: ?string,
+ *     error: ?string}}
+ */
+ProxyTester.Result;
+
+/**
+ * How long to wait for the check URL to respond.
+ * @type {number}
+ */
+ProxyTester.TIMEOUT_MS = 10000;
+
+/**
+ * The first line of every test script.
+ * @type {string}
+ */
+ProxyTester.COMMENT = 'Generated by Incognito Proxy to test a proxy server.';
+
+/**
+ * The local storage key holding the proxy setting a test replaced, until it
+ * is restored. Each instance keeps its own; see `ProxySettings.instanceKey`.
+ * @type {string}
+ */
+ProxyTester.RESTORE_KEY = 'proxyTestRestore';
+
+/**
+ * Works out how requests other than the check are routed during a test: the
+ * way the setting being replaced routes them. A PAC URL's script is fetched.
+ *
+ * @param {ProxyConfig} config The proxy setting being replaced.
+ * @return {?string} A PAC script routing requests like `config`, or null if
+ *     `config` sends them DIRECT.
+ * @throws {string} If `config` depends on the system or network (system
+ *     settings and auto-detect), or its PAC URL can't be fetched.
+ */
+ProxyTester.savedScript = async function(config) {
+  switch (config.mode) {
+    case 'direct':
+      return null;
+    case 'fixed_servers':
+      return PacScript.fromRules(config.rules);
+    case 'pac_script':
+      if (config.pacScript.data)
+        return config.pacScript.data;
+      try {
+        const response = await fetch(config.pacScript.url,
+                                     {cache: 'no-store', credentials: 'omit'});
+        if (!response.ok)
+          throw `HTTP ${response.status}`;
+        return await response.text();
+      } catch (err) {
+        throw chrome.i18n.getMessage('errorProxyTestPacUrl',
+            [config.pacScript.url, String(err.message || err)]);
+      }
+  }
+  throw chrome.i18n.getMessage('errorProxyTestUnsupported', config.mode);
+};
+
+/**
+ * Builds the PAC script used during a test.
+ *
+ * @param {ProxyServer} server The server to test.
+ * @param {string} host The check URL's host.
+ * @param {?string} saved The PAC script routing other requests, from
+ *     `savedScript`, or null to send them DIRECT.
+ * @return {string} The PAC script.
+ */
+ProxyTester.buildScript = function(server, host, saved) {
+  var lines = ['// ' + ProxyTester.COMMENT];
+  if (saved) {
+    lines.push(saved.replace(/\bfunction\s+FindProxyForURL\s*\(/,
+                             'function SavedFindProxyForURL_('));
+  }
+  lines.push(
+      'function FindProxyForURL(url, host) {',
+      '  if (host.toLowerCase() == ' + JSON.stringify(host) + ')',
+      '    return ' + JSON.stringify(PacScript.toProxyString(server)) + ';',
+      '  return ' + (saved ? 'SavedFindProxyForURL_(url, host)' : '"DIRECT"') +
+          ';',
+      '}');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Finds the exit IP in a check URL's response. Plain text bodies such as
+ * icanhazip.com's, and JSON bodies with an `ip` (ipify) or `origin`
+ * (httpbin) field, are understood.
+ *
+ * @param {string} body The response body.
+ * @return {?string} The exit IP, or null if the body doesn't name one.
+ */
+ProxyTester.exitIpOf = function(body) {
+  var text = body.trim();
+  try {
+    var json = JSON.parse(text);
+    if (json && typeof json === 'object')
+      text = String(json.ip || json.origin || '');
+  } catch (err) {
+    // Not JSON; try the body as it is.
+  }
+  var ip = text.split(',')[0].trim();
+  return IpAddress.parse(ip) ? ip : null;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+ProxyTester.prototype = {
+  /**
+   * Handles `testProxy` requests from the popup.
+   *
+   * @param {!{type: string, server: ProxyServer, url: string}} request The
+   *     request to answer.
+   * @param {!MessageSender} sender Info about the script context that sent
+   *     the request.
+   * @param {!function} sendResponse Function to call to send a response.
+   * @return {boolean} True if the response will be sent asynchronously.
+   * @private
+   */
+  handleOnRequest_: function(request, sender, sendResponse) {
+    if (request.type !== 'testProxy')
+      return false;
+    this.test(request.server, request.url).then(function(result) {
+      sendResponse({result: result});
+    }, function(err) {
+      sendResponse({error: String(err.message || err)});
+    });
+    return true;
+  },
+
+  /**
+   * Fetches `url` through `server`.
+   *
+   * @param {ProxyServer} server The server to test.
+   * @param {string} url The check URL. Chrome never passes loopback hosts to
+   *     a PAC script, so they can't be used; a server on a loopback address
+   *     can be tested with a check URL on another host.
+   * @return {!ProxyTester.Result} The outcome.
+   */
+  test: function(server, url) {
+    const run = this.queue_.then(this.run_.bind(this, server, url));
+    this.queue_ = run.catch(function() {});
+    return run;
+  },
+
+  /**
+   * @param {ProxyServer} server The server to test.
+   * @param {string} url The check URL.
+   * @return {!ProxyTester.Result} The outcome.
+   * @private
+   */
+  run_: async function(server, url) {
+    const result = {ok: false, latency: 0, status: null, exitIp: null,
+                    error: null};
+    const parsed = new URL(url);
+    if (ProxyRoute.matchBypass([], parsed) !== null) {
+      result.error = chrome.i18n.getMessage('errorProxyTestLoopback', url);
+      return result;
+    }
+
+    const windowType = ProxySettings.contextWindowType();
+    const previous = await ProxySettings.readProxy(windowType);
+    let saved;
+    try {
+      saved = await ProxyTester.savedScript(previous.value);
+    } catch (err) {
+      result.error = String(err);
+      return result;
+    }
+    const host = parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    let start;
+    try {
+      await chrome.storage.local.set(
+          {[ProxySettings.instanceKey(ProxyTester.RESTORE_KEY)]: previous});
+      await ProxySettings.applyProxy(windowType, {
+        mode: 'pac_script',
+        pacScript: {
+          data: ProxyTester.buildScript(server, host, saved),
+          mandatory: true
+        }
+      });
+      start = performance.now();
+      await this.fetch_(url, start, result);
+    } catch (err) {
+      if (start !== undefined && !result.latency)
+        result.latency = Math.round(performance.now() - start);
+      result.error = err.name === 'AbortError' ?
+          chrome.i18n.getMessage('errorProxyTestTimeout',
+                                 String(ProxyTester.TIMEOUT_MS / 1000)) :
+          String(err.message || err);
+    }
+    try {
+      await this.restore_(previous);
+    } catch (err) {
+      result.ok = false;
+      result.error = chrome.i18n.getMessage('errorProxyTestRestore',
+                                            String(err.message || err));
+    }
+    return result;
+  },
+
+  /**
+   * Fetches the check URL, and fills in the result. The latency is measured
+   * to the arrival of the response headers.
+   *
+   * @param {string} url The check URL.
+   * @param {number} start When the test started, from `performance.now()`.
+   * @param {!ProxyTester.Result} result The result to fill in.
+   * @throws {Error} If the fetch fails, or times out.
+   * @private
+   */
+  fetch_: async function(url, start, result) {
+    const controller = new AbortController();
+    const timer = setTimeout(controller.abort.bind(controller),
+                             ProxyTester.TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        cache: 'no-store',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+      result.latency = Math.round(performance.now() - start);
+      result.ok = response.ok;
+      result.status = response.status;
+      result.exitIp = ProxyTester.exitIpOf(await response.text());
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  /**
+   * Puts back the proxy setting replaced by a test.
+   *
+   * @param {!Object} previous The setting, as read before the test.
+   * @private
+   */
+  restore_: async function(previous) {
+    const windowType = ProxySettings.contextWindowType();
+    if (previous.levelOfControl ===
+        ProxyFormController.LevelOfControl.CONTROLLING) {
+      await ProxySettings.applyProxy(windowType, previous.value);
+    } else {
+      await chrome.proxy.settings.clear(
+          {scope: ProxySettings.SCOPES[windowType]});
+    }
+    await chrome.storage.local.remove(
+        ProxySettings.instanceKey(ProxyTester.RESTORE_KEY));
+  },
+
+  /**
+   * Puts back the setting replaced by a test that didn't finish.
+   *
+   * @private
+   */
+  restoreInterrupted_: async function() {
+    const key = ProxySettings.instanceKey(ProxyTester.RESTORE_KEY);
+    const items = await chrome.storage.local.get(key);
+    if (items[key])
+      await this.restore_(items[key]);
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview This file implements RoutingRules, which parses ordered
+ * per-domain routing rules, compiles them into a PAC script, and keeps them
+ * in extension storage for each window type.
+ */
+
+var RoutingRules = {
+  /**
+   * The first line of every compiled script.
+   * @type {string}
+   */
+  COMMENT: 'Generated by Incognito Proxy from routing rules.',
+
+  /**
+   * The pattern that matches every request.
+   * @type {string}
+   */
+  CATCH_ALL: '*',
+
+  /**
+   * Parses rules, one per line, in the form "pattern target". Patterns use
+   * the bypass list syntax; targets are DIRECT or a proxy server such as
+   * "socks5://127.0.0.1:9050". Blank lines and lines starting with "#" are
+   * ignored.
+   *
+   * @param {string} text The rules.
+   * @return {{rules: Array<RoutingRules.Rule>,
+   *     errors: Array<{line: number, message: string}>}} The valid rules, in
+   *     order, and a description of each invalid line.
+   */
+  parse: function(text) {
+    var result = {rules: [], errors: []};
+    text.split('\n').forEach(function(line, i) {
+      line = line.trim();
+      if (!line || line.charAt(0) === '#')
+        return;
+      var parts = line.split(/\s+/);
+      if (parts.length != 2) {
+        result.errors.push({
+          line: i + 1,
+          message: chrome.i18n.getMessage('errorRoutingRuleSyntax')
+        });
+        return;
+      }
+      var pattern = BypassList.parseEntry(parts[0]);
+      if (pattern.error || pattern.type === BypassList.Types.NO_LOOPBACK) {
+        result.errors.push({
+          line: i + 1,
+          message: pattern.error ||
+              chrome.i18n.getMessage('errorRoutingRulePattern', parts[0])
+        });
+        return;
+      }
+      var target = RoutingRules.parseTarget(parts[1]);
+      if (target === undefined) {
+        result.errors.push({
+          line: i + 1,
+          message: chrome.i18n.getMessage('errorRoutingRuleTarget', parts[1])
+        });
+        return;
+      }
+      result.rules.push({pattern: BypassList.format(pattern), proxy: target});
+    });
+    return result;
+  },
+
+  /**
+   * @param {Array<RoutingRules.Rule>} rules The rules.
+   * @return {string} The rules, one per line, as accepted by `parse`.
+   */
+  format: function(rules) {
+    return rules.map(function(rule) {
+      return rule.pattern + ' ' + RoutingRules.formatTarget(rule.proxy);
+    }).join('\n');
+  },
+
+  /**
+   * Compiles rules into a PAC script. The first matching rule wins; requests
+   * that match no rule go DIRECT.
+   *
+   * @param {Array<RoutingRules.Rule>} rules The rules.
+   * @return {string} The PAC script.
+   */
+  compile: function(rules) {
+    var lines = PacScript.preamble(RoutingRules.COMMENT);
+    rules.forEach(function(rule) {
+      var result = rule.proxy ? PacScript.toProxyString(rule.proxy) : 'DIRECT';
+      lines.push('  // ' + rule.pattern + ' ' +
+                 RoutingRules.formatTarget(rule.proxy));
+      if (rule.pattern === RoutingRules.CATCH_ALL) {
+        lines.push('  return ' + JSON.stringify(result) + ';');
+      } else {
+        lines.push('  if (' + PacScript.matchCondition(rule.pattern) + ')');
+        lines.push('    return ' + JSON.stringify(result) + ';');
+      }
+    });
+    lines.push('  return "DIRECT";');
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @return {Array<RoutingRules.Rule>} The stored rules for `windowType`.
+   */
+  load: async function(windowType) {
+    const items = await chrome.storage.local.get('routingRules');
+    return (items.routingRules || {})[windowType] || [];
+  },
+
+  /**
+   * @param {string} windowType "regular" or "incognito".
+   * @param {Array<RoutingRules.Rule>} rules The rules to store.
+   */
+  store: async function(windowType, rules) {
+    const items = await chrome.storage.local.get('routingRules');
+    const all = items.routingRules || {};
+    all[windowType] = rules;
+    await chrome.storage.local.set({routingRules: all});
+  },
+
+  /**
+   * @param {string} text DIRECT, or a proxy server as "[scheme://]host:port".
+   * @return {?ProxyServer|undefined} The proxy server, null for DIRECT, or
+   *     undefined if `text` is neither.
+   */
+  parseTarget: function(text) {
+    if (text.toUpperCase() === 'DIRECT')
+      return null;
+    var m = /^(?:([a-z0-9]+):\/\/)?(\[[0-9a-fA-F:.]+\]|[^:\/\[\]]+)(?::(\d+))?$/
+        .exec(text);
+    if (!m)
+      return undefined;
+    var scheme = (m[1] || 'http').toLowerCase();
+    if (!PacScript.Keywords.hasOwnProperty(scheme))
+      return undefined;
+    var server = {scheme: scheme, host: m[2].replace(/^\[(.*)\]$/, '$1')};
+    if (m[3]) {
+      server.port = parseInt(m[3], 10);
+      if (server.port < 1 || server.port > 65535)
+        return undefined;
+    }
+    return server;
+  },
+
+  /**
+   * @param {?ProxyServer} server A proxy server, or null for DIRECT.
+   * @return {string} The server as accepted by `parseTarget`.
+   */
+  formatTarget: function(server) {
+    if (!server)
+      return 'DIRECT';
+    var host = server.host.indexOf(':') != -1 ?
+        '[' + server.host + ']' : server.host;
+    return server.scheme + '://' + host + (server.port ? ':' + server.port : '');
+  }
+};
+
+/**
+ * A routing rule: requests matching `pattern` use `proxy`, or go DIRECT if
+ * `proxy` is null.
+ *
+ * @typedef {{pattern: string, proxy: ?ProxyServer}}
+ */
+RoutingRules.Rule;
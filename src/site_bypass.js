@@ -0,0 +1,213 @@
+/**
+ * @fileoverview This file implements the SiteBypass class, which adds the
+ * current page's site to, or removes it from, the bypass list of its window
+ * type's manual proxy settings.
+ */
+
+/**
+ * Adds the page context menu entries, and answers `bypassSite` messages from
+ * the popup. Each change is applied right away, and saved to the active
+ * profile, as saving the popup does.
+ *
+ * @param {ProxyFailover} failover Forgets failovers in progress, since the
+ *     saved settings name the primary server.
+ * @constructor
+ */
+function SiteBypass(failover) {
+  /**
+   * @type {ProxyFailover}
+   * @private
+   */
+  this.failover_ = failover;
+
+  /**
+   * The change in progress, if any. Changes run one at a time, so that none
+   * is lost.
+   * @type {!Promise}
+   * @private
+   */
+  this.queue_ = Promise.resolve();
+
+  // Context menu entries persist, so they are only created on install.
+  chrome.runtime.onInstalled.addListener(SiteBypass.createMenus);
+  chrome.contextMenus.onClicked.addListener(
+      this.handleMenuClick_.bind(this));
+  chrome.runtime.onMessage.addListener(this.handleOnRequest_.bind(this));
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The changes that can be made. These are also the context menu entries' IDs
+ * and the i18n messages titling them.
+ * @enum {string}
+ */
+SiteBypass.Actions = {
+  HOST: 'bypassHost',
+  DOMAIN: 'bypassDomain',
+  REMOVE: 'unbypassSite'
+};
+
+/**
+ * The pages the context menu entries are offered on.
+ * @type {Array<string>}
+ */
+SiteBypass.DOCUMENT_PATTERNS = ['http://*/*', 'https://*/*'];
+
+/**
+ * Creates the page context menu entries.
+ */
+SiteBypass.createMenus = function() {
+  chrome.contextMenus.removeAll(function() {
+    Object.values(SiteBypass.Actions).forEach(function(action) {
+      chrome.contextMenus.create({
+        id: action,
+        title: chrome.i18n.getMessage(action),
+        contexts: ['page'],
+        documentUrlPatterns: SiteBypass.DOCUMENT_PATTERNS
+      });
+    });
+  });
+};
+
+/**
+ * @param {string} url A page's URL.
+ * @return {?string} The page's host, without IPv6 brackets, or null if it
+ *     isn't a web page.
+ */
+SiteBypass.hostOf = function(url) {
+  var parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')
+    return null;
+  return parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+};
+
+/**
+ * @param {Array<string>} list A bypass list.
+ * @param {string} host The site's host.
+ * @param {SiteBypass.Actions} action The change to make.
+ * @return {Array<string>} `list` with the site's entries added, or with every
+ *     entry for the site's host or domain removed.
+ */
+SiteBypass.editList = function(list, host, action) {
+  if (action === SiteBypass.Actions.REMOVE) {
+    var entries = BypassList.siteEntries(host, false).concat(
+        BypassList.siteEntries(host, true));
+    return list.filter(function(entry) {
+      return entries.indexOf(entry) == -1;
+    });
+  }
+  return list.concat(BypassList.siteEntries(
+      host, action === SiteBypass.Actions.DOMAIN).filter(function(entry) {
+    return list.indexOf(entry) == -1;
+  }));
+};
+
+///////////////////////////////////////////////////////////////////////////////
+
+SiteBypass.prototype = {
+  /**
+   * Handles request messages from the popup.
+   *
+   * @param {!{type: string, action: SiteBypass.Actions, url: string,
+   *     incognito: boolean}} request The request to answer.
+   * @param {!MessageSender} sender Info about the script context that sent
+   *     the request.
+   * @param {!function} sendResponse Function to call to send a response.
+   * @private
+   */
+  handleOnRequest_: function(request, sender, sendResponse) {
+    if (request.type === 'bypassSite') {
+      this.schedule_(request.action, request.url, request.incognito)
+          .then(function(proxy) {
+            sendResponse({result: proxy});
+          }, function(err) {
+            sendResponse({error: String(err)});
+          });
+      return true;
+    }
+  },
+
+  /**
+   * Handles a click on a context menu entry, raising a notification if the
+   * change can't be made.
+   *
+   * @param {!OnClickData} info The clicked entry.
+   * @param {Tab} tab The tab it was clicked in.
+   * @private
+   */
+  handleMenuClick_: function(info, tab) {
+    if (Object.values(SiteBypass.Actions).indexOf(info.menuItemId) == -1)
+      return;
+    this.schedule_(info.menuItemId, info.pageUrl, !!(tab && tab.incognito))
+        .catch(function(err) {
+          chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icon128.png',
+            title: chrome.i18n.getMessage(info.menuItemId),
+            message: String(err)
+          });
+        });
+  },
+
+  /**
+   * Queues a change.
+   *
+   * @param {SiteBypass.Actions} action The change to make.
+   * @param {string} url The page whose site is changed.
+   * @param {boolean} incognito Whether the page is in an incognito window.
+   * @return {!Promise<ProxyConfig>} Resolves to the applied configuration.
+   * @private
+   */
+  schedule_: function(action, url, incognito) {
+    const result = this.queue_.then(
+        this.update_.bind(this, action, url, incognito));
+    this.queue_ = result.catch(function() {});
+    return result;
+  },
+
+  /**
+   * Edits the bypass list of a window type's saved manual proxy settings,
+   * and applies them.
+   *
+   * @param {SiteBypass.Actions} action The change to make.
+   * @param {string} url The page whose site is changed.
+   * @param {boolean} incognito Whether the page is in an incognito window.
+   * @return {ProxyConfig} The applied configuration.
+   * @private
+   */
+  update_: async function(action, url, incognito) {
+    const host = SiteBypass.hostOf(url);
+    if (!host)
+      throw chrome.i18n.getMessage('errorBypassSiteNoHost');
+
+    const windowType = incognito ? ProxyProfiles.WindowTypes.INCOGNITO :
+                                   ProxyProfiles.WindowTypes.REGULAR;
+    const desired = await ProxySettings.readRequested(windowType);
+    if (!desired || desired.proxy.mode !== 'fixed_servers') {
+      throw chrome.i18n.getMessage('errorBypassSiteNotManual',
+          chrome.i18n.getMessage(incognito ? 'windowTypeIncognito' :
+                                             'windowTypeRegular'));
+    }
+    const rules = Object.assign({}, desired.proxy.rules);
+    rules.bypassList = SiteBypass.editList(rules.bypassList || [], host,
+                                           action);
+    const config = {
+      proxy: {mode: 'fixed_servers', rules: rules},
+      restrictRtc: desired.restrictRtc
+    };
+
+    await this.failover_.reset(windowType);
+    await ProxySettings.apply(windowType, config);
+    const profiles = new ProxyProfiles();
+    const name = await profiles.getActive(windowType);
+    if (name)
+      await profiles.save(name, config);
+    return config.proxy;
+  }
+};
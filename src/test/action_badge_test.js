@@ -0,0 +1,66 @@
+var actionbadge = new Test.Unit.Runner({
+  testBadgeLabel: function() {
+    this.assertEqual('', ActionBadge.label(null));
+    this.assertEqual('D', ActionBadge.label({mode: 'direct'}));
+    this.assertEqual('SYS', ActionBadge.label({mode: 'system'}));
+    this.assertEqual('PAC', ActionBadge.label(
+        {mode: 'pac_script', pacScript: {url: 'http://wpad/wpad.dat'}}));
+    this.assertEqual('S5', ActionBadge.label({mode: 'fixed_servers', rules: {
+      singleProxy: {scheme: 'socks5', host: '10.0.0.1', port: 1080}
+    }}));
+    this.assertEqual('H', ActionBadge.label({mode: 'fixed_servers', rules: {
+      proxyForHttp: {host: 'proxy', port: 3128},
+      fallbackProxy: {scheme: 'socks4', host: 'proxy', port: 1080}
+    }}));
+  },
+
+  // A tab loading a page loses its badge, so the badges are refreshed; other
+  // changes to the tab leave them alone.
+  testRefreshOnLoading: function() {
+    var badge = Object.create(ActionBadge.prototype);
+    var refreshes = 0;
+    badge.scheduleRefresh_ = function() { refreshes++; };
+    badge.handleTabUpdated_(1, {title: 'Example'});
+    this.assertEqual(0, refreshes);
+    badge.handleTabUpdated_(1, {status: 'loading', url: 'http://a.test/'});
+    this.assertEqual(1, refreshes);
+    badge.handleTabUpdated_(1, {status: 'complete'});
+    this.assertEqual(1, refreshes);
+  },
+
+  // Alerts outlive the service worker, and the most important one comes
+  // first.
+  testAlertsByImportance: function() {
+    var result = {};
+    (async function() {
+      await ActionBadge.setAlert(ActionBadge.Sources.ERROR, {text: 'X'});
+      await ActionBadge.setAlert(ActionBadge.Sources.KILL_SWITCH,
+                                 {text: 'STOP'});
+      result.both = await Object.create(ActionBadge.prototype).loadAlerts_();
+      await ActionBadge.setAlert(ActionBadge.Sources.KILL_SWITCH, null);
+      result.one = await Object.create(ActionBadge.prototype).loadAlerts_();
+      await ActionBadge.setAlert(ActionBadge.Sources.ERROR, null);
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(['STOP', 'X'], result.both.map(function(alert) {
+        return alert.text;
+      }));
+      this.assertEqual(1, result.one.length);
+      this.assertEqual('X', result.one[0].text);
+    });
+  },
+
+  // An expired alert is ignored, even if nothing cleared it.
+  testExpiredAlert: function() {
+    var result = {};
+    (async function() {
+      await ActionBadge.setAlert(ActionBadge.Sources.COMMAND,
+                                 {text: 'D', expires: Date.now() - 1});
+      result.alerts = await Object.create(ActionBadge.prototype).loadAlerts_();
+      await ActionBadge.setAlert(ActionBadge.Sources.COMMAND, null);
+    })();
+    this.wait(50, function() {
+      this.assertEqual(0, result.alerts.length);
+    });
+  }
+}, { testLog: 'actionbadgelog' });
@@ -0,0 +1,125 @@
+// Stub out `chrome.i18n`, which names the message instead of translating it.
+if (!chrome.i18n) {
+  chrome.i18n = {
+    getMessage: function(name) { return name; }
+  };
+}
+
+var bypasslist = new Test.Unit.Runner({
+  // Every form of entry Chrome accepts should parse.
+  testValidEntries: function() {
+    var self = this;
+    ['<local>', '<-loopback>', 'example.com', '*.example.com',
+     '*example.com', 'http://example.com', 'example.com:8080',
+     'https://*.example.com:8443', '192.168.1.1', '192.168.0.0/16',
+     '10.0.0.0/8', '[::1]', '::1', '[fe80::1]:8080', 'fe80::/10', '*'
+    ].forEach(function(entry) {
+      var rule = BypassList.parseEntry(entry);
+      self.assertUndefined(rule.error, entry);
+    });
+  },
+
+  testInvalidEntries: function() {
+    var self = this;
+    ['<remote>', '192.168.0.0/33', '300.1.1.1', 'example.com:99999',
+     'exa mple.com', 'example..com', 'fe80::/129', '[example.com]',
+     'http://', '10.0.0.0/'
+    ].forEach(function(entry) {
+      var rule = BypassList.parseEntry(entry);
+      self.assertNotNullOrUndefined(rule.error, entry);
+    });
+  },
+
+  // Newlines, commas, semicolons and stray separators all split entries,
+  // and entries are normalised.
+  testParseAndNormalise: function() {
+    var result = BypassList.parse(
+        '<LOCAL>,\n .Example.com;  HTTP://Foo.example.com:80 ,\n\n' +
+        '[::1]:8080,, fe80::1');
+    this.assertEqual(0, result.errors.length);
+    this.assertEnumEqual(
+        ['<local>', '*.example.com', 'http://foo.example.com:80',
+         '[::1]:8080', 'fe80::1'],
+        result.entries);
+  },
+
+  testParseReportsErrors: function() {
+    var result = BypassList.parse('example.com\n300.1.1.1\n<nope>');
+    this.assertEnumEqual(['example.com'], result.entries);
+    this.assertEqual(2, result.errors.length);
+    this.assertEqual('300.1.1.1', result.errors[0].entry);
+    this.assertEqual('<nope>', result.errors[1].entry);
+  },
+
+  // Chrome picks singleProxy, then the scheme's proxy, then fallbackProxy,
+  // unless a bypass entry matches first.
+  testRouteFixedServers: function() {
+    var http = {scheme: 'http', host: 'http.example.com', port: 3128};
+    var socks = {scheme: 'socks5', host: '10.0.0.1', port: 1080};
+    var config = {
+      mode: 'fixed_servers',
+      rules: {
+        proxyForHttp: http,
+        fallbackProxy: socks,
+        bypassList: ['<local>', '192.168.0.0/16', '*.lan',
+                     'https://secure.example.com:8443']
+      }
+    };
+    var route = ProxyRoute.forUrl(config, 'http://www.example.com/');
+    this.assertEqual(http, route.server);
+    this.assertEqual('proxyForHttp', route.field);
+    route = ProxyRoute.forUrl(config, 'wss://www.example.com/');
+    this.assertEqual(socks, route.server);
+    this.assertEqual('fallbackProxy', route.field);
+
+    route = ProxyRoute.forUrl(config, 'http://printer/');
+    this.assertNull(route.server);
+    this.assertEqual('<local>', route.entry);
+    route = ProxyRoute.forUrl(config, 'http://192.168.7.7:631/');
+    this.assertEqual('192.168.0.0/16', route.entry);
+    route = ProxyRoute.forUrl(config, 'http://printer.lan/');
+    this.assertEqual('*.lan', route.entry);
+    route = ProxyRoute.forUrl(config, 'https://secure.example.com:8443/');
+    this.assertEqual('https://secure.example.com:8443', route.entry);
+    route = ProxyRoute.forUrl(config, 'https://secure.example.com/');
+    this.assertEqual(socks, route.server);
+    route = ProxyRoute.forUrl(config, 'http://127.0.0.1:8080/');
+    this.assertEqual('<loopback>', route.entry);
+  },
+
+  testRouteSingleProxyWithoutLoopback: function() {
+    var single = {scheme: 'socks5', host: '10.0.0.1', port: 1080};
+    var config = {
+      mode: 'fixed_servers',
+      rules: {singleProxy: single, bypassList: ['<-loopback>']}
+    };
+    var route = ProxyRoute.forUrl(config, 'http://localhost/');
+    this.assertEqual(single, route.server);
+    this.assertEqual('singleProxy', route.field);
+    route = ProxyRoute.forUrl(config, 'ftp://ftp.example.com/');
+    this.assertEqual(single, route.server);
+  },
+
+  testRegistrableDomain: function() {
+    this.assertEqual('example.com',
+                     BypassList.registrableDomain('www.Example.com.'));
+    this.assertEqual('example.co.uk',
+                     BypassList.registrableDomain('a.b.example.co.uk'));
+    this.assertNull(BypassList.registrableDomain('intranet'));
+    this.assertNull(BypassList.registrableDomain('10.0.0.1'));
+    // Suffixes shared by many sites cover only the site.
+    this.assertEqual('user.github.io',
+                     BypassList.registrableDomain('www.user.github.io'));
+    this.assertEqual('blog.blogspot.com',
+                     BypassList.registrableDomain('blog.blogspot.com'));
+    this.assertNull(BypassList.registrableDomain('github.io'));
+    // Unknown suffixes only ever cover the host.
+    this.assertNull(BypassList.registrableDomain('printer.office.lan'));
+    this.assertEnumEqual(['printer.office.lan'],
+                         BypassList.siteEntries('printer.office.lan', true));
+    this.assertEnumEqual(['example.com', '*.example.com'],
+                         BypassList.siteEntries('www.example.com', true));
+    this.assertEnumEqual(['www.example.com'],
+                         BypassList.siteEntries('www.example.com', false));
+  }
+}, { testLog: 'bypasslistlog' });
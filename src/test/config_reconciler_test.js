@@ -0,0 +1,168 @@
+/**
+ * @param {Array<string>} resets Receives the window types whose failover
+ *     is reset.
+ * @return {!ConfigReconciler} A reconciler that doesn't listen for events.
+ */
+var newReconciler = function(resets) {
+  var reconciler = Object.create(ConfigReconciler.prototype);
+  reconciler.failover_ = {
+    reset: async function(windowType) { resets.push(windowType); }
+  };
+  return reconciler;
+};
+
+/**
+ * Sets a window type's proxy behind this extension's back, as a restart
+ * that lost it would.
+ *
+ * @param {string} scope The setting's scope.
+ */
+var drift = function(scope) {
+  chrome.proxy.settings.values[scope] = {mode: 'direct'};
+};
+
+/**
+ * Forgets everything the reconciler and the settings stored.
+ */
+var forget = async function() {
+  await chrome.storage.local.remove([
+    'appliedProxy', 'desiredConfig', 'reconcileLog', 'proxyPauses',
+    'failoverState'
+  ]);
+  await chrome.storage.session.remove(ConfigReconciler.INCOGNITO_CHECKED_KEY);
+};
+
+var configreconciler = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+  },
+
+  teardown: function() {
+    resetInstance();
+  },
+
+  // Only settings this extension controls, or could, are re-applied.
+  testHasDrifted: function() {
+    var reconciler = newReconciler([]);
+    var controlling = {levelOfControl: 'controlled_by_this_extension'};
+    this.assert(!reconciler.hasDrifted_(controlling, 'a', 'a'));
+    this.assert(reconciler.hasDrifted_(controlling, 'a', 'b'));
+    this.assert(reconciler.hasDrifted_(
+        {levelOfControl: 'controllable_by_this_extension'}, 'a', 'a'));
+    this.assert(!reconciler.hasDrifted_(
+        {levelOfControl: 'controlled_by_other_extensions'}, 'a', 'b'));
+    this.assert(!reconciler.hasDrifted_(
+        {levelOfControl: 'not_controllable'}, 'a', 'b'));
+  },
+
+  // A drifted window type is re-applied, ending its failover, and the
+  // correction logged; the other is left alone.
+  testDriftCorrected: function() {
+    var resets = [];
+    var reconciler = newReconciler(resets);
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await ProxySettings.apply('incognito', socks);
+      drift('regular_only');
+      await reconciler.reconcile('update');
+      result.proxy = chrome.proxy.settings.values.regular_only;
+      result.log = await ConfigReconciler.loadLog();
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(JSON.stringify(socks.proxy),
+                       JSON.stringify(result.proxy));
+      this.assertEnumEqual(['regular'], resets);
+      this.assertEqual(1, result.log.length);
+      this.assertEqual('update', result.log[0].reason);
+      this.assertEqual('regular', result.log[0].windowType);
+      this.assertEqual('settingProxy', result.log[0].setting);
+      this.assertEqual('direct', result.log[0].from);
+    });
+  },
+
+  // Settings another extension controls are left to ControlMonitor, and
+  // those of a paused or failed over window type are restored later.
+  testSkipped: function() {
+    var resets = [];
+    var reconciler = newReconciler(resets);
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await ProxySettings.apply('incognito', socks);
+      drift('regular_only');
+      chrome.proxy.settings.levels.regular_only =
+          'controlled_by_other_extensions';
+      await reconciler.reconcile('startup');
+      result.lost = await ConfigReconciler.loadLog();
+
+      chrome.proxy.settings.levels.regular_only =
+          'controlled_by_this_extension';
+      await chrome.storage.local.set({
+        proxyPauses: {regular: {until: Date.now() + 60000, previous: null,
+                                started: true}},
+        failoverState: {incognito: {index: 1, primary: socks.proxy}}
+      });
+      drift('incognito_persistent');
+      await reconciler.reconcile('startup');
+      result.paused = await ConfigReconciler.loadLog();
+      result.proxies = chrome.proxy.settings.values;
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(0, result.lost.length);
+      this.assertEqual(0, result.paused.length);
+      this.assertEqual(0, resets.length);
+      this.assertEqual('direct', result.proxies.regular_only.mode);
+      this.assertEqual('direct', result.proxies.incognito_persistent.mode);
+    });
+  },
+
+  // The log keeps the latest corrections.
+  testLogCapped: function() {
+    var reconciler = newReconciler([]);
+    var result = {};
+    (async function() {
+      var log = [];
+      for (var i = 0; i < ConfigReconciler.LOG_LIMIT; i++)
+        log.push({time: i, reason: 'old'});
+      await chrome.storage.local.set({reconcileLog: log});
+      await ProxySettings.apply('regular', socks);
+      drift('regular_only');
+      await reconciler.reconcile('startup');
+      result.log = await ConfigReconciler.loadLog();
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(ConfigReconciler.LOG_LIMIT, result.log.length);
+      this.assertEqual(1, result.log[0].time);
+      this.assertEqual('startup',
+                       result.log[ConfigReconciler.LOG_LIMIT - 1].reason);
+    });
+  },
+
+  // The incognito instance checks its settings once a session, however
+  // often its service worker starts.
+  testIncognitoChecksOnce: function() {
+    var resets = [];
+    var reconciler = newReconciler(resets);
+    var result = {};
+    (async function() {
+      setInstance(true, true);
+      await ProxySettings.apply('incognito', socks);
+      drift('incognito_persistent');
+      await reconciler.startIncognito_();
+      drift('incognito_persistent');
+      await reconciler.startIncognito_();
+      result.mode = chrome.proxy.settings.values.incognito_persistent.mode;
+      result.log = await ConfigReconciler.loadLog();
+      await forget();
+    })().finally(resetInstance);
+    this.wait(50, function() {
+      this.assertEqual('direct', result.mode);
+      this.assertEqual(1, result.log.length);
+      this.assertEnumEqual(['incognito'], resets);
+    });
+  }
+}, { testLog: 'configreconcilerlog' });
@@ -0,0 +1,131 @@
+var notifications = chrome.notifications;
+
+/**
+ * @return {!ControlMonitor} A monitor that doesn't listen for changes.
+ */
+var newMonitor = function() {
+  var monitor = Object.create(ControlMonitor.prototype);
+  monitor.queue_ = Promise.resolve();
+  return monitor;
+};
+
+/**
+ * @return {?ActionBadge.Alert} The control alert raised, if any.
+ */
+var controlAlert = async function() {
+  var key = ProxySettings.instanceKey(
+      ActionBadge.ALERT_PREFIX + ActionBadge.Sources.CONTROL);
+  return (await chrome.storage.session.get(key))[key] || null;
+};
+
+/**
+ * Forgets the conflicts and alerts the monitor stored.
+ */
+var forget = async function() {
+  await chrome.storage.session.remove([
+    'controlConflicts', 'controlConflicts:incognito',
+    ActionBadge.ALERT_PREFIX + ActionBadge.Sources.CONTROL,
+    ActionBadge.ALERT_PREFIX + ActionBadge.Sources.CONTROL + ':incognito'
+  ]);
+};
+
+var controlmonitor = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+    var created = this.notified = [];
+    chrome.notifications = {
+      create: function(id, options) { created.push(options.message); }
+    };
+  },
+
+  teardown: function() {
+    chrome.notifications = notifications;
+    resetInstance();
+  },
+
+  testDescribe: function() {
+    this.assertEqual('conflictOtherExtension:settingProxy,windowTypeIncognito',
+        ControlMonitor.describe({
+          setting: 'settingProxy', windowType: 'incognito',
+          levelOfControl: 'controlled_by_other_extensions'
+        }));
+    this.assertEqual('conflictNotControllable:settingWebRtc,windowTypeRegular',
+        ControlMonitor.describe({
+          setting: 'settingWebRtc', windowType: 'regular',
+          levelOfControl: 'not_controllable'
+        }));
+    this.assert(!ControlMonitor.isLost('controllable_by_this_extension'));
+  },
+
+  // A conflict is reported once, and only badges its window type's tabs
+  // until control is back.
+  testConflictRaisedAndCleared: function() {
+    var monitor = newMonitor();
+    var result = {};
+    (async function() {
+      chrome.proxy.settings.levels.incognito_persistent =
+          'controlled_by_other_extensions';
+      await monitor.check_();
+      await monitor.check_();
+      result.raised = await controlAlert();
+      chrome.proxy.settings.levels.incognito_persistent =
+          'controlled_by_this_extension';
+      await monitor.check_();
+      result.cleared = await controlAlert();
+      result.conflicts = await monitor.loadConflicts_();
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(
+          ['conflictOtherExtension:settingProxy,windowTypeIncognito'],
+          this.notified);
+      this.assertEqual('CTRL', result.raised.text);
+      this.assertEqual('incognito', result.raised.windowType);
+      this.assertNull(result.cleared);
+      this.assertEqual(0, result.conflicts.length);
+    });
+  },
+
+  // Conflicts in both window types badge every tab.
+  testConflictsInBothWindowTypes: function() {
+    var monitor = newMonitor();
+    var result = {};
+    (async function() {
+      chrome.proxy.settings.levels.regular_only = 'not_controllable';
+      chrome.privacy.network.webRTCIPHandlingPolicy.levels
+          .incognito_persistent = 'controlled_by_other_extensions';
+      await monitor.check_();
+      result.alert = await controlAlert();
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(2, this.notified.length);
+      this.assertEqual('CTRL', result.alert.text);
+      this.assertEqual(undefined, result.alert.windowType);
+    });
+  },
+
+  // In split incognito mode, each instance only checks its own window
+  // type's settings.
+  testSplitChecksOwnWindowType: function() {
+    var monitor = newMonitor();
+    var result = {};
+    (async function() {
+      setInstance(true, true);
+      chrome.proxy.settings.levels.regular_only = 'not_controllable';
+      await monitor.check_();
+      result.ignored = await controlAlert();
+      chrome.proxy.settings.levels.incognito_persistent = 'not_controllable';
+      await monitor.check_();
+      result.raised = await controlAlert();
+      await forget();
+    })().finally(resetInstance);
+    this.wait(50, function() {
+      this.assertNull(result.ignored);
+      this.assertEnumEqual(
+          ['conflictNotControllable:settingProxy,windowTypeIncognito'],
+          this.notified);
+      this.assertEqual('incognito', result.raised.windowType);
+    });
+  }
+}, { testLog: 'controlmonitorlog' });
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Stand-ins for the `chrome.proxy` and `chrome.privacy`
+ * settings and for the extension instance a page runs in, and the profile
+ * the tests apply, shared by the test pages.
+ */
+
+/**
+ * A stand-in for a `ChromeSetting`, which keeps a value and level of control
+ * for each scope. Setting a scope's value takes control of it; clearing it
+ * puts back the initial value and level of control.
+ *
+ * @param {*} value The setting's initial value in both scopes.
+ * @param {string=} opt_levelOfControl The initial level of control in both
+ *     scopes. Defaults to "controlled_by_this_extension".
+ * @constructor
+ */
+var FakeSetting = function(value, opt_levelOfControl) {
+  this.initial = value;
+  this.initialLevel = opt_levelOfControl || 'controlled_by_this_extension';
+  this.values = {regular_only: value, incognito_persistent: value};
+  this.levels = {regular_only: this.initialLevel,
+                 incognito_persistent: this.initialLevel};
+};
+
+FakeSetting.prototype = {
+  get: async function(details) {
+    var scope = details.incognito ? 'incognito_persistent' : 'regular_only';
+    return {value: this.values[scope], levelOfControl: this.levels[scope]};
+  },
+
+  set: async function(details) {
+    this.values[details.scope] = details.value;
+    this.levels[details.scope] = 'controlled_by_this_extension';
+  },
+
+  clear: async function(details) {
+    this.values[details.scope] = this.initial;
+    this.levels[details.scope] = this.initialLevel;
+  }
+};
+
+/**
+ * Stubs out the `chrome.proxy` and `chrome.privacy` APIs with fresh
+ * settings: a system proxy, the default WebRTC policy, and every
+ * `PrivacySettings` setting on, if the page loads them.
+ *
+ * @param {string=} opt_levelOfControl The settings' initial level of
+ *     control.
+ */
+var installFakeSettings = function(opt_levelOfControl) {
+  chrome.proxy = {
+    settings: new FakeSetting({mode: 'system'}, opt_levelOfControl)
+  };
+  chrome.privacy = {
+    network: {
+      webRTCIPHandlingPolicy: new FakeSetting('default', opt_levelOfControl)
+    },
+    websites: {},
+    services: {}
+  };
+  if (typeof PrivacySettings === 'undefined')
+    return;
+  PrivacySettings.SETTINGS.forEach(function(setting) {
+    chrome.privacy[setting.group][setting.name] =
+        new FakeSetting(true, opt_levelOfControl);
+  });
+};
+
+/**
+ * The page's own `chrome.runtime.getManifest`.
+ * @type {function(): !Object}
+ */
+var getManifest = chrome.runtime.getManifest;
+
+/**
+ * Makes the test page look like one of the extension's instances.
+ *
+ * @param {boolean} split Whether the extension runs in split incognito mode.
+ * @param {boolean} incognito Whether the page runs in the incognito
+ *     instance.
+ */
+var setInstance = function(split, incognito) {
+  chrome.runtime.getManifest = function() {
+    return split ? {incognito: 'split'} : {};
+  };
+  chrome.extension.inIncognitoContext = incognito;
+};
+
+/**
+ * Makes the test page look like the regular instance in spanning incognito
+ * mode again.
+ */
+var resetInstance = function() {
+  chrome.runtime.getManifest = getManifest;
+  chrome.extension.inIncognitoContext = false;
+};
+
+var socks = {
+  proxy: {mode: 'fixed_servers',
+          rules: {singleProxy: {scheme: 'socks5', host: '10.0.0.1',
+                                port: 1080}}},
+  restrictRtc: 'disable_non_proxied_udp'
+};
@@ -0,0 +1,182 @@
+var tabs = chrome.tabs;
+
+/**
+ * @return {!KillSwitch} A kill switch that doesn't listen for events.
+ */
+var newKillSwitch = function() {
+  var killSwitch = Object.create(KillSwitch.prototype);
+  killSwitch.engaged_ = false;
+  killSwitch.queue_ = Promise.resolve();
+  return killSwitch;
+};
+
+/**
+ * Takes the incognito proxy setting from this extension, as another
+ * extension would.
+ */
+var loseControl = function() {
+  chrome.proxy.settings.levels.incognito_persistent =
+      'controlled_by_other_extensions';
+};
+
+/**
+ * Forgets everything the kill switch and the settings stored.
+ */
+var forget = async function() {
+  await chrome.storage.local.remove(['appliedProxy', 'killSwitch']);
+  await chrome.storage.session.remove([
+    KillSwitch.PAC_ERROR_KEY, KillSwitch.PAC_ERROR_KEY + ':incognito',
+    KillSwitch.ENGAGED_KEY,
+    ProxySettings.APPLYING_PREFIX + 'incognito',
+    ActionBadge.ALERT_PREFIX + ActionBadge.Sources.KILL_SWITCH,
+    ActionBadge.ALERT_PREFIX + ActionBadge.Sources.KILL_SWITCH + ':incognito'
+  ]);
+};
+
+var killswitch = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+    // Tab 1 is incognito, tab 2 regular.
+    chrome.tabs = {
+      TAB_ID_NONE: -1,
+      query: async function() {
+        return [{id: 1, incognito: true}, {id: 2, incognito: false}];
+      }
+    };
+    var updates = this.ruleUpdates = [];
+    chrome.declarativeNetRequest = {
+      updateSessionRules: async function(update) { updates.push(update); }
+    };
+  },
+
+  teardown: function() {
+    chrome.tabs = tabs;
+    delete chrome.declarativeNetRequest;
+    resetInstance();
+  },
+
+  // Losing control of the incognito proxy blocks every tab but the regular
+  // ones, and badges incognito tabs, until control is back. Nothing is
+  // blocked while the kill switch is disabled.
+  testEngageAndDisengage: function() {
+    var killSwitch = newKillSwitch();
+    var result = {};
+    (async function() {
+      await ProxySettings.applyProxy('incognito', socks.proxy);
+      loseControl();
+      await killSwitch.check_();
+      result.disabled = killSwitch.engaged_;
+      await KillSwitch.setEnabled(true);
+      await killSwitch.check_();
+      result.engaged = killSwitch.engaged_;
+      result.alerts = await Object.create(ActionBadge.prototype).loadAlerts_();
+      await ProxySettings.applyProxy('incognito', socks.proxy);
+      await killSwitch.check_();
+      result.disengaged = killSwitch.engaged_;
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(false, result.disabled);
+      this.assertEqual(true, result.engaged);
+      this.assertEqual(false, result.disengaged);
+      this.assertEqual(1, result.alerts.length);
+      this.assertEqual('STOP', result.alerts[0].text);
+      this.assertEqual('incognito', result.alerts[0].windowType);
+      this.assertEqual(3, this.ruleUpdates.length);
+      var rule = this.ruleUpdates[1].addRules[0];
+      this.assertEqual('block', rule.action.type);
+      this.assertEnumEqual([-1, 2], rule.condition.excludedTabIds);
+      this.assertEqual(0, this.ruleUpdates[2].addRules.length);
+    });
+  },
+
+  // A failed PAC script only blocks if Chrome falls back to DIRECT.
+  testPacFallback: function() {
+    var killSwitch = newKillSwitch();
+    var pac = {mode: 'pac_script',
+               pacScript: {url: 'http://wpad/wpad.dat', mandatory: false}};
+    var result = {};
+    (async function() {
+      await KillSwitch.setEnabled(true);
+      await ProxySettings.applyProxy('incognito', pac);
+      killSwitch.handleProxyError_({error: 'net::ERR_PROXY_CONNECTION_FAILED'});
+      await killSwitch.queue_;
+      result.otherError = killSwitch.engaged_;
+      killSwitch.handleProxyError_({error: 'net::ERR_PAC_SCRIPT_FAILED'});
+      await killSwitch.queue_;
+      result.fallback = killSwitch.engaged_;
+
+      pac.pacScript.mandatory = true;
+      await ProxySettings.applyProxy('incognito', pac);
+      killSwitch.handleProxyError_({error: 'net::ERR_PAC_SCRIPT_FAILED'});
+      await killSwitch.queue_;
+      result.mandatory = killSwitch.engaged_;
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(false, result.otherError);
+      this.assertEqual(true, result.fallback);
+      this.assertEqual(false, result.mandatory);
+    });
+  },
+
+  // A change seen while this extension applies a setting is left for the
+  // check that follows.
+  testSkipsMidApply: function() {
+    var killSwitch = newKillSwitch();
+    var result = {};
+    (async function() {
+      await KillSwitch.setEnabled(true);
+      await ProxySettings.applyProxy('incognito', socks.proxy);
+      loseControl();
+      await chrome.storage.session.set(
+          {[ProxySettings.APPLYING_PREFIX + 'incognito']: Date.now()});
+      await killSwitch.check_();
+      result.engaged = killSwitch.engaged_;
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual(false, result.engaged);
+      this.assertEqual(0, this.ruleUpdates.length);
+    });
+  },
+
+  // In split incognito mode, the incognito instance records its finding,
+  // and the regular instance, which sees the regular tabs, keeps the same
+  // rule. The regular instance's PAC errors are its own window type's.
+  testSplitRule: function() {
+    var killSwitch = newKillSwitch();
+    var regular = newKillSwitch();
+    var result = {};
+    var self = this;
+    (async function() {
+      await KillSwitch.setEnabled(true);
+      setInstance(true, false);
+      regular.handleProxyError_({error: 'net::ERR_PAC_SCRIPT_FAILED'});
+      await regular.queue_;
+      result.pacErrors = await chrome.storage.session.get(null);
+
+      setInstance(true, true);
+      await ProxySettings.applyProxy('incognito', socks.proxy);
+      loseControl();
+      await killSwitch.check_();
+      result.incognitoUpdates = self.ruleUpdates.length;
+      result.flag = (await chrome.storage.session.get(
+          KillSwitch.ENGAGED_KEY))[KillSwitch.ENGAGED_KEY];
+
+      setInstance(true, false);
+      await regular.check_();
+      result.engaged = regular.engaged_;
+      await forget();
+    })().finally(resetInstance);
+    this.wait(50, function() {
+      this.assert(!(KillSwitch.PAC_ERROR_KEY in result.pacErrors));
+      this.assertEqual(0, result.incognitoUpdates);
+      this.assertEqual(true, result.flag);
+      this.assertEqual(true, result.engaged);
+      this.assertEqual(1, this.ruleUpdates.length);
+      this.assertEnumEqual(
+          [-1, 2], this.ruleUpdates[0].addRules[0].condition.excludedTabIds);
+    });
+  }
+}, { testLog: 'killswitchlog' });
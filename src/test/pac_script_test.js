@@ -0,0 +1,187 @@
+var env = {
+  dns: {'intranet.example.com': '10.1.2.3'},
+  myIp: '192.168.1.2'
+};
+
+var findProxy = function(script, url) {
+  return evaluatePacScript(script, url, new URL(url).hostname, env).result;
+};
+
+var pacscript = new Test.Unit.Runner({
+  // The sandbox's helpers should behave like Chrome's.
+  testHelpers: function() {
+    var helpers = createPacHelpers(env, []);
+    this.assert(helpers.isPlainHostName('printer'));
+    this.assert(!helpers.isPlainHostName('printer.lan'));
+    this.assert(helpers.dnsDomainIs('www.example.com', '.example.com'));
+    this.assert(helpers.shExpMatch('a.example.com', '*.example.com'));
+    this.assert(!helpers.shExpMatch('example.com', '*.example.com'));
+    this.assert(helpers.isInNet(
+        'intranet.example.com', '10.0.0.0', '255.0.0.0'));
+    this.assert(!helpers.isInNet('unknown.example.com', '10.0.0.0',
+                                 '255.0.0.0'));
+    this.assert(helpers.isInNetEx('fe80::1', 'fe80::/10'));
+    this.assertEqual('192.168.1.2', helpers.myIpAddress());
+    this.assertNull(helpers.dnsResolve('unknown.example.com'));
+  },
+
+  // The date and time helpers see `env.now`, in local time or in UTC, and
+  // ranges wrap around.
+  testTimeHelpers: function() {
+    // Monday, 15 January 2024, 10:30.
+    var local = createPacHelpers(
+        {dns: {}, now: new Date(2024, 0, 15, 10, 30).getTime()}, []);
+    this.assert(local.weekdayRange('MON'));
+    this.assert(local.weekdayRange('SAT', 'MON'));
+    this.assert(!local.weekdayRange('TUE', 'FRI'));
+    this.assert(!local.weekdayRange('MONDAY'));
+    this.assert(local.dateRange('JAN'));
+    this.assert(local.dateRange(15));
+    this.assert(local.dateRange(2024));
+    this.assert(!local.dateRange(2023));
+    this.assert(local.dateRange(10, 20));
+    this.assert(local.dateRange(1, 'DEC', 31, 'JAN'));
+    this.assert(!local.dateRange(16, 'JAN', 1, 'FEB'));
+    this.assert(local.dateRange(1, 'JAN', 2024, 31, 'DEC', 2024));
+    this.assert(local.timeRange(10));
+    this.assert(local.timeRange(9, 10));
+    this.assert(!local.timeRange(10, 31, 11, 0));
+    this.assert(local.timeRange(22, 0, 11, 0));
+    this.assert(local.timeRange(10, 30, 0, 10, 30, 0));
+
+    var utc = createPacHelpers(
+        {dns: {}, now: Date.UTC(2024, 0, 15, 10, 30)}, []);
+    this.assert(utc.weekdayRange('MON', 'GMT'));
+    this.assert(utc.dateRange(15, 'GMT'));
+    this.assert(utc.timeRange(10, 'GMT'));
+  },
+
+  // Errors inside the script are reported rather than thrown.
+  testEvaluateError: function() {
+    var outcome = evaluatePacScript(
+        'function FindProxyForURL(url, host) { return nope(); }',
+        'http://example.com/', 'example.com', env);
+    this.assertNull(outcome.result);
+    this.assertMatch(/ReferenceError/, outcome.error);
+  },
+
+  // Only the sandbox frame can answer a request.
+  testSandboxClientChecksSource: function() {
+    var client = Object.create(PacSandboxClient.prototype);
+    var sandbox = {};
+    var answers = [];
+    client.window_ = sandbox;
+    client.pending_ = {1: function(response) { answers.push(response); }};
+    client.handleMessage_({source: window, data: {id: 1, result: 'DIRECT'}});
+    this.assertEqual(0, answers.length);
+    client.handleMessage_({source: sandbox, data: {id: 1, result: 'PROXY'}});
+    this.assertEqual(1, answers.length);
+    this.assertEqual('PROXY', answers[0].result);
+  },
+
+  testToProxyString: function() {
+    this.assertEqual('PROXY proxy.example.com:3128', PacScript.toProxyString(
+        {scheme: 'http', host: 'proxy.example.com', port: 3128}));
+    this.assertEqual('SOCKS5 127.0.0.1:1080', PacScript.toProxyString(
+        {scheme: 'socks5', host: '127.0.0.1'}));
+    this.assertEqual('HTTPS [::1]:443', PacScript.toProxyString(
+        {scheme: 'https', host: '::1'}));
+  },
+
+  // Scripts generated from fixed_servers rules route per scheme, and send
+  // bypassed hosts DIRECT.
+  testFromRulesPerScheme: function() {
+    var script = PacScript.fromRules({
+      proxyForHttp: {scheme: 'http', host: 'http.example.com', port: 80},
+      proxyForHttps: {scheme: 'https', host: 'https.example.com', port: 443},
+      fallbackProxy: {scheme: 'socks5', host: 'socks.example.com', port: 1080},
+      bypassList: ['<local>', '192.168.0.0/16', '*.corp.example.com',
+                   'https://secure.example.com:8443']
+    });
+    this.assertNull(checkPacScript(script));
+    this.assertEqual('PROXY http.example.com:80',
+                     findProxy(script, 'http://www.example.org/'));
+    this.assertEqual('HTTPS https.example.com:443',
+                     findProxy(script, 'https://www.example.org/'));
+    this.assertEqual('PROXY http.example.com:80',
+                     findProxy(script, 'ws://www.example.org/'));
+    this.assertEqual('HTTPS https.example.com:443',
+                     findProxy(script, 'wss://www.example.org/'));
+    this.assertEqual('SOCKS5 socks.example.com:1080',
+                     findProxy(script, 'ftp://ftp.example.org/'));
+    this.assertEqual('DIRECT', findProxy(script, 'http://printer/'));
+    this.assertEqual('DIRECT', findProxy(script, 'http://192.168.1.20/'));
+    this.assertEqual('DIRECT', findProxy(script, 'http://a.corp.example.com/'));
+    this.assertEqual('DIRECT', findProxy(script, 'http://localhost:8080/'));
+    this.assertEqual('DIRECT',
+                     findProxy(script, 'https://secure.example.com:8443/'));
+    this.assertEqual('HTTPS https.example.com:443',
+                     findProxy(script, 'https://secure.example.com/'));
+  },
+
+  // `<-loopback>` removes the implicit loopback bypass.
+  testFromRulesSingleProxy: function() {
+    var script = PacScript.fromRules({
+      singleProxy: {scheme: 'socks5', host: '10.0.0.1', port: 1080},
+      bypassList: ['<-loopback>']
+    });
+    this.assertEqual('SOCKS5 10.0.0.1:1080',
+                     findProxy(script, 'http://localhost/'));
+    this.assertEqual('SOCKS5 10.0.0.1:1080',
+                     findProxy(script, 'https://www.example.com/'));
+  },
+
+  testRoutingRulesParse: function() {
+    var parsed = RoutingRules.parse(
+        '# Comments and blank lines are skipped\n' +
+        '\n' +
+        '*.onion   socks5://127.0.0.1:9050\n' +
+        '10.0.0.0/8 DIRECT\n' +
+        '* [::1]:3128');
+    this.assertEqual(0, parsed.errors.length);
+    this.assertEqual(3, parsed.rules.length);
+    this.assertHashEqual(
+        {scheme: 'socks5', host: '127.0.0.1', port: 9050},
+        parsed.rules[0].proxy);
+    this.assertNull(parsed.rules[1].proxy);
+    this.assertHashEqual(
+        {scheme: 'http', host: '::1', port: 3128}, parsed.rules[2].proxy);
+    this.assertEnumEqual(
+        ['*.onion socks5://127.0.0.1:9050',
+         '10.0.0.0/8 DIRECT',
+         '* http://[::1]:3128'],
+        RoutingRules.format(parsed.rules).split('\n'));
+  },
+
+  // The first matching rule wins, and unmatched requests go DIRECT.
+  testRoutingRulesCompile: function() {
+    var script = RoutingRules.compile(RoutingRules.parse(
+        '*.corp.example http://proxy.corp.example:3128\n' +
+        '*.onion socks5://127.0.0.1:9050\n' +
+        '10.0.0.0/8 DIRECT\n' +
+        '*.example.com socks5://10.0.0.1:1080').rules);
+    this.assertNull(checkPacScript(script));
+    this.assertEqual('PROXY proxy.corp.example:3128',
+                     findProxy(script, 'https://git.corp.example/'));
+    this.assertEqual('SOCKS5 127.0.0.1:9050',
+                     findProxy(script, 'http://abc.onion/'));
+    this.assertEqual('DIRECT', findProxy(script, 'http://10.1.2.3/'));
+    this.assertEqual('SOCKS5 10.0.0.1:1080',
+                     findProxy(script, 'http://www.example.com/'));
+    this.assertEqual('DIRECT', findProxy(script, 'http://www.example.org/'));
+  },
+
+  testDescribeSettings: function() {
+    this.assertEqual('direct', ProxySettings.describe({mode: 'direct'}));
+    this.assertEqual('pac_script (inline)', ProxySettings.describe(
+        {mode: 'pac_script', pacScript: {data: 'x'}}));
+    this.assertEqual('pac_script http://wpad/wpad.dat', ProxySettings.describe(
+        {mode: 'pac_script', pacScript: {url: 'http://wpad/wpad.dat'}}));
+    this.assertEqual(
+        'fixed_servers http://proxy:3128 socks5://10.0.0.1:1080',
+        ProxySettings.describe({mode: 'fixed_servers', rules: {
+          proxyForHttp: {scheme: 'http', host: 'proxy', port: 3128},
+          fallbackProxy: {scheme: 'socks5', host: '10.0.0.1', port: 1080}
+        }}));
+  }
+}, { testLog: 'pacscriptlog' });
@@ -0,0 +1,87 @@
+var direct = {proxy: {mode: 'direct'}, restrictRtc: 'default'};
+
+var privacysettings = new Test.Unit.Runner({
+  // Every setting starts out left to Chrome.
+  setup: function() {
+    installFakeSettings('controllable_by_this_extension');
+  },
+
+  testHardenedPreset: function() {
+    var hardened = PrivacySettings.hardened();
+    this.assertEqual(PrivacySettings.SETTINGS.length,
+                     Object.keys(hardened).length);
+    this.assertIdentical(false, hardened.networkPredictionEnabled);
+    this.assertIdentical(false, hardened.hyperlinkAuditingEnabled);
+    this.assertIdentical(true, hardened.doNotTrackEnabled);
+  },
+
+  testChosen: function() {
+    this.assertHashEqual({referrersEnabled: false, doNotTrackEnabled: true},
+                         PrivacySettings.chosen({
+                           referrersEnabled: false,
+                           doNotTrackEnabled: true,
+                           searchSuggestEnabled: null
+                         }));
+    this.assertHashEqual({}, PrivacySettings.chosen(undefined));
+  },
+
+  // Only the settings the user chose are set; the others stay Chrome's.
+  testApplyOnlyChosen: function() {
+    var result = {};
+    (async function() {
+      await PrivacySettings.apply('incognito', {
+        doNotTrackEnabled: true,
+        referrersEnabled: false,
+        searchSuggestEnabled: null
+      });
+      var incognito = {incognito: true};
+      result.referrers =
+          await chrome.privacy.websites.referrersEnabled.get(incognito);
+      result.suggest =
+          await chrome.privacy.services.searchSuggestEnabled.get(incognito);
+      result.prediction =
+          await chrome.privacy.network.networkPredictionEnabled.get(incognito);
+    })();
+    this.wait(50, function() {
+      this.assertIdentical(false, result.referrers.value);
+      this.assertEqual('controlled_by_this_extension',
+                       result.referrers.levelOfControl);
+      this.assertEqual('controllable_by_this_extension',
+                       result.suggest.levelOfControl);
+      this.assertEqual('controllable_by_this_extension',
+                       result.prediction.levelOfControl);
+    });
+  },
+
+  // Leaving a setting to Chrome again hands back control of it.
+  testApplyClearsUnset: function() {
+    var result = {};
+    (async function() {
+      await PrivacySettings.apply('regular', {referrersEnabled: false});
+      await PrivacySettings.apply('regular', {referrersEnabled: null});
+      result.referrers = await chrome.privacy.websites.referrersEnabled.get(
+          {incognito: false});
+    })();
+    this.wait(50, function() {
+      this.assertIdentical(true, result.referrers.value);
+      this.assertEqual('controllable_by_this_extension',
+                       result.referrers.levelOfControl);
+    });
+  },
+
+  // Settings left to Chrome aren't stored as desired, so they are never
+  // restored.
+  testDesiredOnlyChosen: function() {
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', Object.assign({
+        privacy: {doNotTrackEnabled: true, referrersEnabled: null}
+      }, direct));
+      result.desired = await ProxySettings.readDesired('regular');
+      await ProxySettings.clear('regular');
+    })();
+    this.wait(50, function() {
+      this.assertHashEqual({doNotTrackEnabled: true}, result.desired.privacy);
+    });
+  }
+}, { testLog: 'privacysettingslog' });
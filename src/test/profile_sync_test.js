@@ -0,0 +1,115 @@
+/**
+ * An in-memory stand-in for `chrome.storage.sync`, which refuses items
+ * whose keys are listed as too big.
+ *
+ * @param {Array<string>} tooBig The keys to refuse.
+ * @constructor
+ */
+var FakeSyncStorage = function(tooBig) {
+  this.items = {};
+  this.tooBig = tooBig;
+};
+
+FakeSyncStorage.prototype = {
+  get: async function() {
+    return JSON.parse(JSON.stringify(this.items));
+  },
+
+  set: async function(items) {
+    for (var key in items) {
+      if (this.tooBig.indexOf(key) !== -1)
+        throw 'QUOTA_BYTES_PER_ITEM quota exceeded';
+      this.items[key] = JSON.parse(JSON.stringify(items[key]));
+    }
+  }
+};
+
+var sync = chrome.storage.sync;
+var notifications = chrome.notifications;
+
+var work = {
+  proxy: {mode: 'fixed_servers',
+          rules: {singleProxy: {scheme: 'socks5', host: '10.0.0.1',
+                                port: 1080}}},
+  restrictRtc: 'disable_non_proxied_udp'
+};
+
+var profilesync = new Test.Unit.Runner({
+  teardown: function() {
+    chrome.storage.sync = sync;
+    chrome.notifications = notifications;
+    chrome.storage.local.remove(['profiles', 'profileDeletions',
+                                 'profileSync']);
+  },
+
+  testProfileSyncMerge: function() {
+    var socks = {proxy: {mode: 'fixed_servers'}, restrictRtc: 'default'};
+    var direct = {proxy: {mode: 'direct'}, restrictRtc: 'default'};
+    var local = {
+      newer: {modified: 2, profile: socks},
+      deletedThere: {modified: 1, profile: socks},
+      deletedHere: {modified: 5, profile: null},
+      tied: {modified: 3, profile: socks},
+      same: {modified: 3, profile: socks}
+    };
+    var remote = {
+      newer: {modified: 1, profile: direct},
+      deletedThere: {modified: 4, profile: null},
+      tied: {modified: 3, profile: direct},
+      same: {modified: 3, profile: socks},
+      added: {modified: 1, profile: direct}
+    };
+    var changes = ProfileSync.merge(local, remote);
+    this.assertEnumEqual(['newer', 'deletedHere'],
+                         Object.keys(changes.toRemote));
+    this.assertEnumEqual(['deletedThere', 'tied', 'added'],
+                         Object.keys(changes.toLocal));
+    this.assertNull(changes.toLocal.deletedThere.profile);
+    this.assertEqual('direct', changes.toLocal.tied.profile.proxy.mode);
+  },
+
+  // Nothing is synced until the user opts in.
+  testSyncOnlyWhenEnabled: function() {
+    var storage = new FakeSyncStorage([]);
+    chrome.storage.sync = storage;
+    var result = {};
+    (async function() {
+      await new ProxyProfiles().save('Work', work);
+      await Object.create(ProfileSync.prototype).sync_();
+      result.disabled = Object.keys(storage.items);
+      await ProfileSync.setEnabled(true);
+      await Object.create(ProfileSync.prototype).sync_();
+      result.enabled = Object.keys(storage.items);
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual([], result.disabled);
+      this.assertEnumEqual(['profile:Work'], result.enabled);
+    });
+  },
+
+  // Profiles the sync quota won't take are listed in a notification, and
+  // the others are still synced.
+  testSyncFailuresNotified: function() {
+    var storage = new FakeSyncStorage(['profile:Big']);
+    chrome.storage.sync = storage;
+    var result = {};
+    chrome.notifications = {
+      create: function(id, options) {
+        result.id = id;
+        result.message = options.message;
+      }
+    };
+    (async function() {
+      await new ProxyProfiles().save('Big', work);
+      await new ProxyProfiles().save('Work', work);
+      await ProfileSync.setEnabled(true);
+      await Object.create(ProfileSync.prototype).sync_();
+      result.synced = Object.keys(storage.items);
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(['profile:Work'], result.synced);
+      this.assertEqual(ProfileSync.NOTIFICATION_ID, result.id);
+      this.assertEqual('profileSyncFailed:Big', result.message);
+    });
+  }
+}, { testLog: 'profilesynclog' });
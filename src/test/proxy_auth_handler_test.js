@@ -0,0 +1,41 @@
+var tabs = chrome.tabs;
+
+var proxyauthhandler = new Test.Unit.Runner({
+  setup: function() {
+    // Tab 1 is incognito, tab 2 regular, and there is no other tab.
+    chrome.tabs = {
+      get: async function(tabId) {
+        if (tabId === 1 || tabId === 2)
+          return {id: tabId, incognito: tabId === 1};
+        throw `No tab with id: ${tabId}.`;
+      }
+    };
+  },
+
+  teardown: function() {
+    chrome.tabs = tabs;
+    resetInstance();
+  },
+
+  // Requests outside a tab, or from a tab that can't be looked up, use the
+  // credentials of the instance's own window type.
+  testWindowTypeOf: function() {
+    var handler = Object.create(ProxyAuthHandler.prototype);
+    var result = {};
+    (async function() {
+      setInstance(true, true);
+      result.incognito = [await handler.windowTypeOf_(1),
+                          await handler.windowTypeOf_(2),
+                          await handler.windowTypeOf_(-1),
+                          await handler.windowTypeOf_(3)];
+      setInstance(true, false);
+      result.regular = [await handler.windowTypeOf_(-1),
+                        await handler.windowTypeOf_(3)];
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(['incognito', 'regular', 'incognito', 'incognito'],
+                           result.incognito);
+      this.assertEnumEqual(['regular', 'regular'], result.regular);
+    });
+  }
+}, { testLog: 'proxyauthhandlerlog' });
@@ -0,0 +1,87 @@
+/**
+ * @return {!ProxyCommands} Commands that don't listen for shortcuts.
+ */
+var newCommands = function() {
+  var commands = Object.create(ProxyCommands.prototype);
+  commands.failover_ = {reset: async function() {}};
+  return commands;
+};
+
+var proxycommands = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+  },
+
+  testNextProfile: function() {
+    this.assertNull(ProxyCommands.nextProfile([], null));
+    this.assertEqual('Home', ProxyCommands.nextProfile(['Work', 'Home'], null));
+    this.assertEqual('Work',
+                     ProxyCommands.nextProfile(['Work', 'Home'], 'Home'));
+    this.assertEqual('Home',
+                     ProxyCommands.nextProfile(['Work', 'Home'], 'Work'));
+    this.assertEqual('Home',
+                     ProxyCommands.nextProfile(['Work', 'Home'], 'Gone'));
+  },
+
+  // The shortcut switches to a direct connection and back.
+  testToggleDirect: function() {
+    var commands = newCommands();
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await commands.toggleDirect_();
+      result.direct = chrome.proxy.settings.values.regular_only.mode;
+      result.rtc = chrome.privacy.network.webRTCIPHandlingPolicy.values
+          .regular_only;
+      await commands.toggleDirect_();
+      result.restored = chrome.proxy.settings.values.regular_only.mode;
+      result.stash = (await chrome.storage.local.get('directToggle'))
+          .directToggle;
+    })();
+    this.wait(50, function() {
+      this.assertEqual('direct', result.direct);
+      this.assertEqual('disable_non_proxied_udp', result.rtc);
+      this.assertEqual('fixed_servers', result.restored);
+      this.assertUndefined(result.stash);
+    });
+  },
+
+  // Saving settings some other way forgets those the shortcut saved, so it
+  // doesn't switch back to them later.
+  testToggleForgottenOnApply: function() {
+    var commands = newCommands();
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await commands.toggleDirect_();
+      await ProxySettings.apply(
+          'regular', {proxy: {mode: 'direct'}, restrictRtc: 'default'});
+      result.stash = (await chrome.storage.local.get('directToggle'))
+          .directToggle;
+      await commands.toggleDirect_();
+      result.mode = chrome.proxy.settings.values.regular_only.mode;
+    })();
+    this.wait(50, function() {
+      this.assertUndefined(result.stash);
+      this.assertEqual('direct', result.mode);
+    });
+  },
+
+  // The confirmation on the badge expires by itself.
+  testConfirmationExpires: function() {
+    var commands = newCommands();
+    var result = {};
+    (async function() {
+      await commands.apply_('regular', socks, 'Work');
+      var key = ActionBadge.ALERT_PREFIX + ActionBadge.Sources.COMMAND;
+      result.alert = (await chrome.storage.session.get(key))[key];
+      await ActionBadge.setAlert(ActionBadge.Sources.COMMAND, null);
+    })();
+    this.wait(50, function() {
+      this.assertEqual('S5', result.alert.text);
+      this.assert(result.alert.expires > Date.now());
+      this.assert(result.alert.expires <=
+                  Date.now() + ProxyCommands.CONFIRM_MS);
+    });
+  }
+}, { testLog: 'proxycommandslog' });
@@ -0,0 +1,143 @@
+var socks = {
+  proxy: {mode: 'fixed_servers',
+          rules: {singleProxy: {scheme: 'socks5', host: '10.0.0.1',
+                                port: 1080},
+                  bypassList: ['localhost', '*.example.com']}},
+  restrictRtc: 'disable_non_proxied_udp',
+  credentials: {}
+};
+
+var direct = {
+  proxy: {mode: 'direct'},
+  restrictRtc: 'default'
+};
+
+/**
+ * @param {Object} doc A document, as `serialize` would write it.
+ * @return {string} The error `parse` throws for `doc`, or null.
+ */
+var parseError = function(doc) {
+  try {
+    ProxyConfigFile.parse(JSON.stringify(doc));
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+var proxyconfigfile = new Test.Unit.Runner({
+  // Only the proxy and WebRTC settings are written, and they read back
+  // unchanged.
+  testRoundTrip: function() {
+    var doc = JSON.parse(ProxyConfigFile.serialize(socks, direct));
+    this.assertEqual(ProxyConfigFile.FORMAT, doc.format);
+    this.assertEqual(ProxyConfigFile.VERSION, doc.version);
+    this.assertUndefined(doc.regular.credentials);
+
+    var parsed = ProxyConfigFile.parse(ProxyConfigFile.serialize(socks,
+                                                                 direct));
+    this.assertEqual(JSON.stringify(socks.proxy),
+                     JSON.stringify(parsed.regular.proxy));
+    this.assertEqual('disable_non_proxied_udp', parsed.regular.restrictRtc);
+    this.assertEqual('direct', parsed.incognito.proxy.mode);
+  },
+
+  // A window type without a proxy configuration, such as one controlled by
+  // another extension, is written as null and read back as null.
+  testMissingWindowConfig: function() {
+    var text = ProxyConfigFile.serialize({proxy: null, restrictRtc: 'default'},
+                                         direct);
+    this.assertNull(JSON.parse(text).regular);
+    var parsed = ProxyConfigFile.parse(text);
+    this.assertNull(parsed.regular);
+    this.assertEqual('direct', parsed.incognito.proxy.mode);
+
+    parsed = ProxyConfigFile.parse(ProxyConfigFile.serialize(socks, null));
+    this.assertNull(parsed.incognito);
+
+    this.assertEqual('regular, incognito: expected at least one configuration',
+                     parseError({format: ProxyConfigFile.FORMAT, version: 1,
+                                 regular: null, incognito: null}));
+  },
+
+  testRejectsOtherDocuments: function() {
+    this.assertMatch(/^not a JSON document/, (function() {
+      try {
+        ProxyConfigFile.parse('{');
+      } catch (err) {
+        return err;
+      }
+    })());
+    this.assertEqual('format: expected "incognito-proxy-config"',
+                     parseError({format: 'other', version: 1}));
+    this.assertEqual('version: unsupported version 2',
+                     parseError({format: ProxyConfigFile.FORMAT,
+                                 version: 2}));
+  },
+
+  // The first invalid field is named in the error.
+  testRejectsInvalidFields: function() {
+    var doc = function(regular) {
+      return {format: ProxyConfigFile.FORMAT, version: 1, regular: regular};
+    };
+    this.assertEqual(
+        'regular.restrictRtc: expected one of default, ' +
+            'default_public_and_private_interfaces, ' +
+            'default_public_interface_only, disable_non_proxied_udp',
+        parseError(doc({proxy: {mode: 'direct'}, restrictRtc: 'none'})));
+    this.assertMatch(
+        /^regular\.proxy\.mode: expected one of /,
+        parseError(doc({proxy: {mode: 'magic'}, restrictRtc: 'default'})));
+    this.assertEqual(
+        'regular.proxy.pacScript: expected a url or data string',
+        parseError(doc({proxy: {mode: 'pac_script', pacScript: {}},
+                        restrictRtc: 'default'})));
+    this.assertEqual(
+        'regular.proxy.rules: expected at least one proxy server',
+        parseError(doc({proxy: {mode: 'fixed_servers', rules: {}},
+                        restrictRtc: 'default'})));
+    this.assertEqual(
+        'regular.proxy.rules.singleProxy.port: expected a port number',
+        parseError(doc({proxy: {mode: 'fixed_servers',
+                                rules: {singleProxy: {host: 'a', port: 0}}},
+                        restrictRtc: 'default'})));
+    this.assertMatch(
+        /^regular\.proxy\.rules\.bypassList\[0\]: /,
+        parseError(doc({proxy: {mode: 'fixed_servers',
+                                rules: {singleProxy: {host: 'a'},
+                                        bypassList: ['a b']}},
+                        restrictRtc: 'default'})));
+  },
+
+  // A window type whose settings fail partway through applying is rolled
+  // back, like those applied before it.
+  testPartlyAppliedRolledBack: function() {
+    installFakeSettings();
+    chrome.privacy.network.webRTCIPHandlingPolicy.set = async function() {
+      throw 'Failed';
+    };
+    var sendMessage = chrome.runtime.sendMessage;
+    chrome.runtime.sendMessage = async function() {
+      return {};
+    };
+    var controller = Object.create(ProxyFormController.prototype);
+    controller.pinnedWindowType_ = 'regular';
+    var result = {};
+    controller.generateAlert_ = function(msg) {
+      result.alert = msg;
+    };
+    (async function() {
+      result.saved = await controller.saveSettings_({regular: socks});
+      result.proxy = chrome.proxy.settings.values.regular_only;
+      result.desired = await ProxySettings.readDesired('regular');
+    })().finally(function() {
+      chrome.runtime.sendMessage = sendMessage;
+    });
+    this.wait(50, function() {
+      this.assert(!result.saved);
+      this.assertEqual('errorSettingRegularProxy', result.alert);
+      this.assertEqual('system', result.proxy.mode);
+      this.assertNull(result.desired);
+    });
+  }
+}, { testLog: 'proxyconfigfilelog' });
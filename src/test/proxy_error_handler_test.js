@@ -0,0 +1,39 @@
+var log = [
+  {time: 1, fatal: false, error: 'net::ERR_PROXY_CONNECTION_FAILED',
+   details: '', profiles: {regular: 'Work', incognito: null}},
+  {time: 2, fatal: true, error: 'net::ERR_PAC_SCRIPT_FAILED',
+   details: 'line: 3: Uncaught ReferenceError',
+   profiles: {regular: 'Home', incognito: 'Tor'}},
+  {time: 3, fatal: false, error: 'net::ERR_PROXY_CONNECTION_FAILED',
+   details: '', profiles: {regular: 'Home', incognito: 'Tor'}}
+];
+
+var times = function(entries) {
+  return entries.map(function(entry) { return entry.time; });
+};
+
+var proxyerrorhandler = new Test.Unit.Runner({
+  // Errors are counted by code, most frequent first.
+  testCountErrors: function() {
+    var counts = ProxyErrorHandler.countErrors(log);
+    this.assertEqual(2, counts.length);
+    this.assertEqual('net::ERR_PROXY_CONNECTION_FAILED', counts[0].error);
+    this.assertEqual(2, counts[0].count);
+    this.assertEqual('net::ERR_PAC_SCRIPT_FAILED', counts[1].error);
+    this.assertEqual(1, counts[1].count);
+  },
+
+  // The filter matches the error, details and profiles, ignoring case.
+  testFilterLog: function() {
+    this.assertEnumEqual([1, 2, 3],
+                         times(ProxyErrorHandler.filterLog(log, ' ', false)));
+    this.assertEnumEqual([2],
+                         times(ProxyErrorHandler.filterLog(log, '', true)));
+    this.assertEnumEqual([2, 3],
+                         times(ProxyErrorHandler.filterLog(log, 'tor', false)));
+    this.assertEnumEqual([2], times(ProxyErrorHandler.filterLog(
+        log, 'referenceerror', false)));
+    this.assertEnumEqual([1, 3], times(ProxyErrorHandler.filterLog(
+        log, 'CONNECTION', false)));
+  }
+}, { testLog: 'proxyerrorhandlerlog' });
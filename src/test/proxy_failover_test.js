@@ -0,0 +1,156 @@
+/**
+ * A primary SOCKS server with a bypass list, and a policy with two backups.
+ */
+var primary = {
+  mode: 'fixed_servers',
+  rules: {singleProxy: {scheme: 'socks5', host: '10.0.0.1', port: 1080},
+          bypassList: ['*.local']}
+};
+var policy = Object.assign({}, ProxyFailover.DEFAULT_POLICY, {
+  enabled: true,
+  backups: ProxyFailover.parseBackups(
+      'socks5://10.0.0.2:1080\nhttp://10.0.0.3:3128').servers
+});
+
+var alarms = chrome.alarms;
+
+var proxyfailover = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+    var created = this.alarmsCreated = [];
+    var cleared = this.alarmsCleared = [];
+    chrome.alarms = {
+      create: function(name) { created.push(name); },
+      clear: async function(name) { cleared.push(name); return true; }
+    };
+  },
+
+  teardown: function() {
+    chrome.alarms = alarms;
+    resetInstance();
+  },
+
+  // Backups use the routing rule target syntax, but can't be DIRECT.
+  testParseBackups: function() {
+    var parsed = ProxyFailover.parseBackups(
+        'socks5://10.0.0.2:1080\n\nDIRECT\nbackup.example.com:3128\n' +
+        'ftp://nope:21');
+    this.assertEqual(2, parsed.servers.length);
+    this.assertEqual('socks5://10.0.0.2:1080',
+                     RoutingRules.formatTarget(parsed.servers[0]));
+    this.assertEqual('http://backup.example.com:3128',
+                     RoutingRules.formatTarget(parsed.servers[1]));
+    this.assertEqual(2, parsed.errors.length);
+    this.assertEqual(3, parsed.errors[0].line);
+    this.assertEqual(5, parsed.errors[1].line);
+  },
+
+  // Errors are counted in session storage, so they still count after the
+  // service worker restarts; those too old for any policy are dropped.
+  testErrorsOutliveWorker: function() {
+    var key = ProxyFailover.ERRORS_KEY;
+    var now = Date.now();
+    var result = {};
+    (async function() {
+      await chrome.storage.session.set(
+          {[key]: [now - (ProxyFailover.MAX_ERROR_WINDOW + 1) * 1000]});
+      await Object.create(ProxyFailover.prototype).checkErrors_(now, 'a');
+      await Object.create(ProxyFailover.prototype).checkErrors_(now + 1, 'b');
+      result.times = (await chrome.storage.session.get(key))[key];
+      await chrome.storage.session.remove(key);
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual([now, now + 1], result.times);
+    });
+  },
+
+  // The backups are tried in order, each keeping the primary's bypass list,
+  // until none are left.
+  testBackupsInOrder: function() {
+    var failover = Object.create(ProxyFailover.prototype);
+    var result = {servers: [], bypassLists: [], switched: []};
+    (async function() {
+      await ProxySettings.applyProxy('regular', primary);
+      for (var i = 0; i < 3; i++) {
+        result.switched.push(
+            await failover.failover_('regular', policy, 'net::ERR'));
+        var rules = chrome.proxy.settings.values.regular_only.rules;
+        result.servers.push(RoutingRules.formatTarget(rules.singleProxy));
+        result.bypassLists.push(rules.bypassList.join());
+      }
+      result.log = await ProxyFailover.loadLog();
+      await chrome.storage.local.remove(['failoverState', 'failoverLog']);
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual([true, true, false], result.switched);
+      this.assertEnumEqual(['socks5://10.0.0.2:1080', 'http://10.0.0.3:3128',
+                            'http://10.0.0.3:3128'], result.servers);
+      this.assertEnumEqual(['*.local', '*.local', '*.local'],
+                           result.bypassLists);
+      this.assertEqual(2, result.log.length);
+      this.assertEqual('socks5://10.0.0.1:1080', result.log[0].from);
+      this.assertEqual('http://10.0.0.3:3128', result.log[1].to);
+      this.assertEnumEqual(['failback:regular', 'failback:regular'],
+                           this.alarmsCreated);
+    });
+  },
+
+  // A proxy this extension doesn't control, or that isn't manual, is left
+  // alone.
+  testOnlyManualControlledProxy: function() {
+    var failover = Object.create(ProxyFailover.prototype);
+    var result = {};
+    (async function() {
+      result.system = await failover.failover_('regular', policy, 'net::ERR');
+      result.mode = chrome.proxy.settings.values.regular_only.mode;
+    })();
+    this.wait(50, function() {
+      this.assertEqual(false, result.system);
+      this.assertEqual('system', result.mode);
+    });
+  },
+
+  // After the cooldown, the primary server is back, and the switch logged.
+  testFailback: function() {
+    var failover = Object.create(ProxyFailover.prototype);
+    var result = {};
+    (async function() {
+      await ProxySettings.applyProxy('regular', primary);
+      await ProxyFailover.store('regular', policy);
+      await failover.failover_('regular', policy, 'net::ERR');
+      await failover.handleAlarm_({name: 'failback:regular'});
+      result.proxy = chrome.proxy.settings.values.regular_only;
+      result.states = await failover.loadStates_();
+      result.log = await ProxyFailover.loadLog();
+      await chrome.storage.local.remove(['failover', 'failoverLog']);
+    })();
+    this.wait(50, function() {
+      this.assertEqual(JSON.stringify(primary), JSON.stringify(result.proxy));
+      this.assertEqual(0, Object.keys(result.states).length);
+      this.assertEqual(2, result.log.length);
+      this.assertEqual('socks5://10.0.0.2:1080', result.log[1].from);
+      this.assertEqual('socks5://10.0.0.1:1080', result.log[1].to);
+      this.assertEqual('failoverReasonCooldown', result.log[1].reason);
+    });
+  },
+
+  // Resetting one window type leaves the other's failover, and its alarm,
+  // in place.
+  testResetOneWindowType: function() {
+    var failover = Object.create(ProxyFailover.prototype);
+    var result = {};
+    (async function() {
+      await ProxySettings.applyProxy('regular', primary);
+      await ProxySettings.applyProxy('incognito', primary);
+      await failover.failover_('regular', policy, 'net::ERR');
+      await failover.failover_('incognito', policy, 'net::ERR');
+      await failover.reset('regular');
+      result.states = await failover.loadStates_();
+      await chrome.storage.local.remove(['failoverState', 'failoverLog']);
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(['incognito'], Object.keys(result.states));
+      this.assertEnumEqual(['failback:regular'], this.alarmsCleared);
+    });
+  }
+}, { testLog: 'proxyfailoverlog' });
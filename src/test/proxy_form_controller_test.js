@@ -288,6 +288,55 @@ var proxyform = new Test.Unit.Runner({
         document.getElementById('autoconfigURL').value);
   },
 
+  testRecalcFormValuesPacData: function() {
+    var pacData = 'function FindProxyForURL(url, host) {\n' +
+                  '  return "SOCKS5 127.0.0.1:1080";\n' +
+                  '}';
+    this.controller_.recalcFormValues_({
+      proxy: {
+        mode: ProxyFormController.ProxyTypes.PAC,
+        pacScript: {data: pacData}
+      },
+      restrictRtc: ProxyFormController.RestrictRtcTypes.DEFAULT
+    });
+    this.assertEqual('', document.getElementById('autoconfigURL').value);
+    this.assertEqual(pacData, this.controller_.manualPac);
+    this.assertEqual('1\n2\n3',
+        document.getElementById('autoconfigDataLines').textContent);
+    var result = this.controller_.generateProxyConfig_();
+    this.assertEqual(pacData, result.pacScript.data);
+  },
+
+  // Credentials are matched to servers by host and port, and only HTTP and
+  // HTTPS servers can use them.
+  testRecalcFormValuesCredentials: function() {
+    var credentials = {
+      'proxy.example.com:3128': {username: 'alice', password: 'secret'},
+      'other.example.com:80': {username: 'bob', password: 'hunter2'}
+    };
+    this.controller_.recalcFormValues_({
+      proxy: {
+        mode: ProxyFormController.ProxyTypes.FIXED,
+        rules: {
+          proxyForHttp: {scheme: 'http', host: 'Proxy.example.com',
+                         port: 3128},
+          proxyForHttps: {scheme: 'socks5', host: 'proxy.example.com',
+                          port: 3128}
+        }
+      },
+      restrictRtc: ProxyFormController.RestrictRtcTypes.DEFAULT,
+      credentials: credentials
+    });
+    this.assertEqual('alice', document.getElementById('proxyUserHttp').value);
+    this.assertEqual('secret', document.getElementById('proxyPassHttp').value);
+    this.assertEqual('', document.getElementById('proxyUserHttps').value);
+
+    document.getElementById('proxyUserHttp').value = '';
+    this.assertHashEqual(
+        {'other.example.com:80': credentials['other.example.com:80']},
+        this.controller_.readCredentials_(credentials));
+  },
+
   testRecalcFormValuesSingle: function() {
     this.controller_.recalcFormValues_({
        mode: ProxyFormController.ProxyTypes.FIXED,
@@ -370,7 +419,7 @@ var proxyform = new Test.Unit.Runner({
                                    '3.example.com'];
     this.assertEnumEqual(
         document.getElementById('bypassList').value,
-        '1.example.com, 2.example.com, 3.example.com');
+        '1.example.com\n2.example.com\n3.example.com');
     this.assertEnumEqual(
         this.controller_.bypassList,
         ['1.example.com', '2.example.com', '3.example.com']);
@@ -507,6 +556,37 @@ var proxyform = new Test.Unit.Runner({
     this.assertEqual('socks5', result.rules.fallbackProxy.scheme);
     this.assertEqual('fallback.example.com', result.rules.fallbackProxy.host);
     this.assertEqual('80', result.rules.fallbackProxy.port);
+  },
+
+  testRestrictRtcKeepsPolicy: function() {
+    c.restrictRtc = 'disable_non_proxied_udp';
+    this.assertEqual('disable_non_proxied_udp', c.restrictRtc);
+    this.assertEqual('Safe',
+                     document.getElementById('restrictRtcHelp').textContent);
+    c.restrictRtc = 'default_public_interface_only';
+    this.assertEqual('default_public_interface_only', c.restrictRtc);
+    c.restrictRtc = 'default';
+    this.assertEqual('default', c.restrictRtc);
+  },
+
+  testPrivacySkipsUnavailableSettings: function() {
+    c.privacy = {referrersEnabled: true, doNotTrackEnabled: false};
+    this.assertEnumEqual(['referrersEnabled', 'doNotTrackEnabled'],
+                         Object.keys(c.privacy));
+    this.assert(c.privacy.referrersEnabled);
+    this.assert(document.getElementById('privacy_networkPredictionEnabled')
+                    .disabled);
+  },
+
+  testPinnedWindowType: function() {
+    var pinned = function(query) {
+      return ProxyFormController.pinnedWindowType(
+          new URL('chrome-extension://id/popup.html' + query));
+    };
+    this.assertNull(pinned(''));
+    this.assertNull(pinned('?windowType=x'));
+    this.assertEqual('regular', pinned('?windowType=regular'));
+    this.assertEqual('incognito', pinned('?windowType=incognito'));
   }
 }, { testLog: 'proxyformcontrollerlog' });
 
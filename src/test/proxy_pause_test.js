@@ -0,0 +1,116 @@
+/**
+ * @return {!ProxyPause} A pause that doesn't listen for messages or alarms.
+ */
+var newPause = function() {
+  var pause = Object.create(ProxyPause.prototype);
+  pause.failover_ = {reset: async function() {}};
+  pause.queue_ = Promise.resolve();
+  return pause;
+};
+
+var proxypause = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+  },
+
+  teardown: function() {
+    resetInstance();
+  },
+
+  testPauseCountdown: function() {
+    this.assertEqual('15m', ProxyPause.countdown(15 * 60000));
+    this.assertEqual('15m', ProxyPause.countdown(14 * 60000 + 1));
+    this.assertEqual('1m', ProxyPause.countdown(1000));
+    this.assertEqual('1m', ProxyPause.countdown(-1000));
+  },
+
+  // Pausing only switches the proxy; WebRTC stays restricted.
+  testPauseKeepsRestrictRtc: function() {
+    var pause = newPause();
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await pause.pause_('regular', 15);
+      result.mode = chrome.proxy.settings.values.regular_only.mode;
+      result.rtc = chrome.privacy.network.webRTCIPHandlingPolicy.values
+          .regular_only;
+      result.paused = await ProxyPause.isPaused('regular');
+      await pause.end_('regular');
+    })();
+    this.wait(50, function() {
+      this.assertEqual('direct', result.mode);
+      this.assertEqual('disable_non_proxied_udp', result.rtc);
+      this.assert(result.paused);
+    });
+  },
+
+  // The alarm ending a pause restores the settings it replaced.
+  testAlarmResumes: function() {
+    var pause = newPause();
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await pause.pause_('regular', 5);
+      pause.handleAlarm_({name: ProxyPause.ALARM_PREFIX + 'regular'});
+      await pause.queue_;
+      result.mode = chrome.proxy.settings.values.regular_only.mode;
+      result.pauses = await ProxyPause.load();
+    })();
+    this.wait(50, function() {
+      this.assertEqual('fixed_servers', result.mode);
+      this.assertHashEqual({}, result.pauses);
+    });
+  },
+
+  // In split incognito mode, the regular instance leaves switching incognito
+  // windows to a direct connection to the incognito instance.
+  testSplitPauseStartedByOwner: function() {
+    var pause = newPause();
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('incognito', socks);
+      setInstance(true, false);
+      await pause.pause_('incognito', 5);
+      result.regularMode =
+          chrome.proxy.settings.values.incognito_persistent.mode;
+      result.regularPause = (await ProxyPause.load()).incognito;
+
+      setInstance(true, true);
+      await newPause().tick_();
+      result.incognitoMode =
+          chrome.proxy.settings.values.incognito_persistent.mode;
+      result.incognitoPause = (await ProxyPause.load()).incognito;
+      await pause.end_('incognito');
+    })();
+    this.wait(50, function() {
+      this.assertEqual('fixed_servers', result.regularMode);
+      this.assert(!result.regularPause.started);
+      this.assertEqual('fixed_servers',
+                       result.regularPause.previous.proxy.mode);
+      this.assertEqual('direct', result.incognitoMode);
+      this.assert(result.incognitoPause.started);
+    });
+  },
+
+  // A pause that ended while the browser was closed is ended when the
+  // extension starts again.
+  testResumeAfterRestart: function() {
+    var result = {};
+    (async function() {
+      await ProxySettings.apply('regular', socks);
+      await newPause().pause_('regular', 5);
+      var pauses = await ProxyPause.load();
+      pauses.regular.until = Date.now() - 1000;
+      await chrome.storage.local.set({proxyPauses: pauses});
+
+      var pause = new ProxyPause({reset: async function() {}});
+      await pause.queue_;
+      result.mode = chrome.proxy.settings.values.regular_only.mode;
+      result.pauses = await ProxyPause.load();
+    })();
+    this.wait(50, function() {
+      this.assertEqual('fixed_servers', result.mode);
+      this.assertHashEqual({}, result.pauses);
+    });
+  }
+}, { testLog: 'proxypauselog' });
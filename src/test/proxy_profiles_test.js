@@ -0,0 +1,72 @@
+/**
+ * An in-memory stand-in for a `StorageArea`, so that the tests don't touch
+ * the extension's own storage.
+ *
+ * @constructor
+ */
+var FakeStorage = function() {
+  this.items = {};
+};
+
+FakeStorage.prototype = {
+  get: async function(key) {
+    var result = {};
+    if (key in this.items)
+      result[key] = JSON.parse(JSON.stringify(this.items[key]));
+    return result;
+  },
+
+  set: async function(items) {
+    for (var key in items)
+      this.items[key] = JSON.parse(JSON.stringify(items[key]));
+  }
+};
+
+var socks = {
+  proxy: {mode: 'fixed_servers',
+          rules: {singleProxy: {scheme: 'socks5', host: '10.0.0.1',
+                                port: 1080}}},
+  restrictRtc: 'disable_non_proxied_udp'
+};
+
+var proxyprofiles = new Test.Unit.Runner({
+  // Profiles keep only the proxy and WebRTC settings.
+  testSaveAndGet: function() {
+    var profiles = new ProxyProfiles(new FakeStorage());
+    var result = {};
+    (async function() {
+      await profiles.save('Work', Object.assign({credentials: {}}, socks));
+      result.work = await profiles.get('Work');
+      result.missing = await profiles.get('Home');
+      result.names = Object.keys(await profiles.getAll());
+    })();
+    this.wait(50, function() {
+      this.assertEqual('socks5', result.work.proxy.rules.singleProxy.scheme);
+      this.assertEqual('disable_non_proxied_udp', result.work.restrictRtc);
+      this.assertUndefined(result.work.credentials);
+      this.assertNull(result.missing);
+      this.assertEnumEqual(['Work'], result.names);
+    });
+  },
+
+  // Deleting a profile deactivates it only where it was active.
+  testRemoveDeactivates: function() {
+    var profiles = new ProxyProfiles(new FakeStorage());
+    var result = {};
+    (async function() {
+      await profiles.save('Work', socks);
+      await profiles.save('Home', socks);
+      await profiles.setActive('regular', 'Work');
+      await profiles.setActive('incognito', 'Home');
+      await profiles.remove('Work');
+      result.names = Object.keys(await profiles.getAll());
+      result.regular = await profiles.getActive('regular');
+      result.incognito = await profiles.getActive('incognito');
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(['Home'], result.names);
+      this.assertNull(result.regular);
+      this.assertEqual('Home', result.incognito);
+    });
+  }
+}, { testLog: 'proxyprofileslog' });
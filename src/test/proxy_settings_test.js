@@ -0,0 +1,93 @@
+var proxysettings = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+  },
+
+  teardown: function() {
+    resetInstance();
+    chrome.storage.local.remove(
+        ['applyRequests', 'appliedProxy', 'desiredConfig']);
+  },
+
+  // In spanning incognito mode, the one instance changes both window types.
+  testSpanningInstance: function() {
+    setInstance(false, false);
+    this.assertEqual('regular', ProxySettings.contextWindowType());
+    this.assertEqual('errorLogCleared',
+                     ProxySettings.instanceKey('errorLogCleared'));
+    this.assert(ProxySettings.canApply('regular'));
+    this.assert(ProxySettings.canApply('incognito'));
+  },
+
+  // In split incognito mode, each instance only reaches its own window type.
+  testSplitInstances: function() {
+    var result = {};
+    (async function() {
+      setInstance(true, false);
+      result.regular = [ProxySettings.canApply('regular'),
+                        ProxySettings.canApply('incognito')];
+      result.regularOwned = await ProxySettings.ownedWindowTypes();
+      setInstance(true, true);
+      result.incognito = [ProxySettings.canApply('regular'),
+                          ProxySettings.canApply('incognito')];
+      result.incognitoOwned = await ProxySettings.ownedWindowTypes();
+      result.key = ProxySettings.instanceKey('errorLogCleared');
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual([true, false], result.regular);
+      this.assertEnumEqual(['regular'], result.regularOwned);
+      this.assertEnumEqual([false, true], result.incognito);
+      this.assertEnumEqual(['incognito'], result.incognitoOwned);
+      this.assertEqual('errorLogCleared:incognito', result.key);
+    });
+  },
+
+  // The regular instance leaves incognito settings to the incognito one,
+  // without touching the incognito scope itself.
+  testSplitRegularInstanceRequests: function() {
+    var result = {};
+    (async function() {
+      setInstance(true, false);
+      await ProxySettings.apply('incognito', socks);
+      result.proxy = chrome.proxy.settings.values.incognito_persistent;
+      result.rtc = chrome.privacy.network.webRTCIPHandlingPolicy.values
+          .incognito_persistent;
+      result.requested = await ProxySettings.readRequested('incognito');
+      result.desired = await ProxySettings.readDesired('incognito');
+      await ProxySettings.clear('incognito');
+      result.cleared = await ProxySettings.readRequested('incognito');
+      result.appliedHere = await ProxySettings.applyRequested();
+    })();
+    this.wait(50, function() {
+      this.assertEqual('system', result.proxy.mode);
+      this.assertEqual('default', result.rtc);
+      this.assertEqual('fixed_servers', result.requested.proxy.mode);
+      this.assertNull(result.desired);
+      this.assertNull(result.cleared);
+      this.assert(!result.appliedHere);
+    });
+  },
+
+  // The incognito instance applies what the regular one left to it.
+  testSplitIncognitoInstanceApplies: function() {
+    var result = {};
+    (async function() {
+      setInstance(true, false);
+      await ProxySettings.apply('incognito', socks);
+      setInstance(true, true);
+      result.applied = await ProxySettings.applyRequested();
+      result.proxy = chrome.proxy.settings.values.incognito_persistent;
+      result.regular = chrome.proxy.settings.values.regular_only;
+      result.requests = (await chrome.storage.local.get('applyRequests'))
+          .applyRequests;
+      result.desired = await ProxySettings.readDesired('incognito');
+    })();
+    this.wait(50, function() {
+      this.assert(result.applied);
+      this.assertEqual('fixed_servers', result.proxy.mode);
+      this.assertEqual('system', result.regular.mode);
+      this.assertHashEqual({}, result.requests);
+      this.assertEqual('disable_non_proxied_udp', result.desired.restrictRtc);
+    });
+  }
+}, { testLog: 'proxysettingslog' });
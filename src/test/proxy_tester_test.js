@@ -0,0 +1,205 @@
+var findProxy = function(script, url) {
+  return evaluatePacScript(script, url, new URL(url).hostname, {}).result;
+};
+
+var socksProxy = {
+  mode: 'fixed_servers',
+  rules: {singleProxy: {scheme: 'socks5', host: '10.0.0.1', port: 1080}}
+};
+
+/**
+ * Stands in for the proxy setting and the network while a test
+ * runs: the check URL is answered only when the setting routes it through
+ * the stand-in proxy server, on a loopback address as a local test server
+ * would be.
+ *
+ * @param {ProxyConfig} config The proxy setting before the test.
+ * @constructor
+ */
+var StandIn = function(config) {
+  this.setting = {
+    value: config,
+    levelOfControl: ProxyFormController.LevelOfControl.CONTROLLING
+  };
+  this.proxy = 'PROXY 127.0.0.1:8080';
+  this.applied = 0;
+  this.windowTypes = [];
+  this.saved_ = {readProxy: ProxySettings.readProxy,
+                 applyProxy: ProxySettings.applyProxy,
+                 fetch: window.fetch};
+
+  var standIn = this;
+  ProxySettings.readProxy = async function(windowType) {
+    standIn.windowTypes.push(windowType);
+    return JSON.parse(JSON.stringify(standIn.setting));
+  };
+  ProxySettings.applyProxy = async function(windowType, proxy) {
+    standIn.windowTypes.push(windowType);
+    standIn.applied++;
+    standIn.setting.value = proxy;
+  };
+  window.fetch = async function(url) {
+    var value = standIn.setting.value;
+    if (value.mode !== 'pac_script' ||
+        findProxy(value.pacScript.data, url) !== standIn.proxy)
+      throw new TypeError('Failed to fetch');
+    return {ok: true, status: 200, text: async function() {
+      return '203.0.113.7\n';
+    }};
+  };
+};
+
+StandIn.prototype = {
+  restore: function() {
+    ProxySettings.readProxy = this.saved_.readProxy;
+    ProxySettings.applyProxy = this.saved_.applyProxy;
+    window.fetch = this.saved_.fetch;
+  }
+};
+
+/**
+ * @return {!ProxyTester} A tester that doesn't listen for requests.
+ */
+var newTester = function() {
+  var tester = Object.create(ProxyTester.prototype);
+  tester.queue_ = Promise.resolve();
+  return tester;
+};
+
+var proxytester = new Test.Unit.Runner({
+  // During a test, only the check URL's host goes through the tested server;
+  // everything else keeps the route it had.
+  testScript: function() {
+    var server = {scheme: 'http', host: '127.0.0.1', port: 8080};
+    var script = ProxyTester.buildScript(server, 'check.example',
+                                         PacScript.fromRules(socksProxy.rules));
+    this.assertNull(checkPacScript(script));
+    this.assertEqual('PROXY 127.0.0.1:8080',
+                     findProxy(script, 'http://check.example/ip'));
+    this.assertEqual('SOCKS5 10.0.0.1:1080',
+                     findProxy(script, 'http://www.example.com/'));
+
+    script = ProxyTester.buildScript(server, 'check.example', null);
+    this.assertEqual('DIRECT', findProxy(script, 'http://www.example.com/'));
+  },
+
+  // Settings that depend on the system or network can't be reproduced by a
+  // PAC script, so they aren't replaced.
+  testSavedScript: function() {
+    var result = {};
+    (async function() {
+      result.direct = await ProxyTester.savedScript({mode: 'direct'});
+      result.data = await ProxyTester.savedScript(
+          {mode: 'pac_script', pacScript: {data: 'x'}});
+      for (var mode of ['system', 'auto_detect']) {
+        try {
+          await ProxyTester.savedScript({mode: mode});
+        } catch (err) {
+          result[mode] = err;
+        }
+      }
+    })();
+    this.wait(50, function() {
+      this.assertNull(result.direct);
+      this.assertEqual('x', result.data);
+      this.assertEqual('errorProxyTestUnsupported:system', result.system);
+      this.assertEqual('errorProxyTestUnsupported:auto_detect',
+                       result.auto_detect);
+    });
+  },
+
+  testExitIp: function() {
+    this.assertEqual('203.0.113.7', ProxyTester.exitIpOf('203.0.113.7\n'));
+    this.assertEqual('203.0.113.7',
+                     ProxyTester.exitIpOf('{"ip":"203.0.113.7"}'));
+    this.assertEqual('2001:db8::1', ProxyTester.exitIpOf(
+        '{"origin": "2001:db8::1, 10.0.0.1"}'));
+    this.assertNull(ProxyTester.exitIpOf('<html>ok</html>'));
+    this.assertNull(ProxyTester.exitIpOf('{"status": "ok"}'));
+  },
+
+  // A test against a working server reports the exit IP, a test against a
+  // missing one reports the failure, and the setting is restored either way.
+  testStandInServer: function() {
+    var standIn = new StandIn(socksProxy);
+    var tester = newTester();
+    var result = {};
+    (async function() {
+      result.up = await tester.test(
+          {scheme: 'http', host: '127.0.0.1', port: 8080},
+          'http://check.example/ip');
+      result.down = await tester.test(
+          {scheme: 'http', host: '127.0.0.1', port: 8081},
+          'http://check.example/ip');
+      result.marker = await chrome.storage.local.get(ProxyTester.RESTORE_KEY);
+    })();
+    this.wait(100, function() {
+      standIn.restore();
+      this.assert(result.up.ok);
+      this.assertEqual(200, result.up.status);
+      this.assertEqual('203.0.113.7', result.up.exitIp);
+      this.assert(!result.down.ok);
+      this.assertEqual('Failed to fetch', result.down.error);
+      this.assertEqual(JSON.stringify(socksProxy),
+                       JSON.stringify(standIn.setting.value));
+      this.assertUndefined(result.marker[ProxyTester.RESTORE_KEY]);
+    });
+  },
+
+  // The incognito instance tests through incognito settings, which its own
+  // requests follow, and keeps its own restore marker.
+  testSplitIncognitoInstance: function() {
+    var standIn = new StandIn(socksProxy);
+    var result = {};
+    (async function() {
+      setInstance(true, true);
+      result.test = await newTester().test(
+          {scheme: 'http', host: '127.0.0.1', port: 8080},
+          'http://check.example/ip');
+      result.key = ProxySettings.instanceKey(ProxyTester.RESTORE_KEY);
+    })().finally(resetInstance);
+    this.wait(50, function() {
+      standIn.restore();
+      this.assert(result.test.ok);
+      this.assertEnumEqual(['incognito', 'incognito', 'incognito'],
+                           standIn.windowTypes);
+      this.assertEqual('proxyTestRestore:incognito', result.key);
+    });
+  },
+
+  // Under system settings, the test is refused and nothing is changed.
+  testRefusesSystemSetting: function() {
+    var standIn = new StandIn({mode: 'system'});
+    var result = {};
+    (async function() {
+      result.test = await newTester().test(
+          {scheme: 'http', host: '127.0.0.1', port: 8080},
+          'http://check.example/ip');
+    })();
+    this.wait(50, function() {
+      standIn.restore();
+      this.assertEqual('errorProxyTestUnsupported:system', result.test.error);
+      this.assertEqual(0, standIn.applied);
+    });
+  },
+
+  // A test the service worker didn't finish is undone when it starts again.
+  testRestoresInterruptedTest: function() {
+    var standIn = new StandIn({mode: 'pac_script', pacScript: {data: 'x'}});
+    var result = {};
+    (async function() {
+      await chrome.storage.local.set({[ProxyTester.RESTORE_KEY]: {
+        value: socksProxy,
+        levelOfControl: ProxyFormController.LevelOfControl.CONTROLLING
+      }});
+      await newTester().restoreInterrupted_();
+      result.marker = await chrome.storage.local.get(ProxyTester.RESTORE_KEY);
+    })();
+    this.wait(50, function() {
+      standIn.restore();
+      this.assertEqual(JSON.stringify(socksProxy),
+                       JSON.stringify(standIn.setting.value));
+      this.assertUndefined(result.marker[ProxyTester.RESTORE_KEY]);
+    });
+  }
+}, { testLog: 'proxytesterlog' });
@@ -0,0 +1,110 @@
+/**
+ * @param {Array<string>} resets Receives the window types whose failover
+ *     is reset.
+ * @return {!SiteBypass} A site bypass that doesn't listen for events.
+ */
+var newSiteBypass = function(resets) {
+  var siteBypass = Object.create(SiteBypass.prototype);
+  siteBypass.failover_ = {
+    reset: async function(windowType) { resets.push(windowType); }
+  };
+  siteBypass.queue_ = Promise.resolve();
+  return siteBypass;
+};
+
+/**
+ * Forgets the settings and profiles the tests stored.
+ */
+var forget = async function() {
+  await chrome.storage.local.remove([
+    'appliedProxy', 'desiredConfig', 'profiles', 'profileDeletions',
+    'activeProfiles'
+  ]);
+};
+
+var sitebypass = new Test.Unit.Runner({
+  setup: function() {
+    installFakeSettings();
+  },
+
+  teardown: function() {
+    resetInstance();
+  },
+
+  testEditList: function() {
+    this.assertEqual('www.example.com',
+                     SiteBypass.hostOf('https://www.example.com/a'));
+    this.assertEqual('::1', SiteBypass.hostOf('http://[::1]:8080/'));
+    this.assertNull(SiteBypass.hostOf('chrome://extensions/'));
+    this.assertNull(SiteBypass.hostOf('not a url'));
+
+    var list = ['<local>', 'www.example.com'];
+    this.assertEnumEqual(['<local>', 'www.example.com'],
+        SiteBypass.editList(list, 'www.example.com', SiteBypass.Actions.HOST));
+    this.assertEnumEqual(
+        ['<local>', 'www.example.com', 'example.com', '*.example.com'],
+        SiteBypass.editList(list, 'www.example.com',
+                            SiteBypass.Actions.DOMAIN));
+    this.assertEnumEqual(['<local>'], SiteBypass.editList(
+        ['<local>', 'example.com', '*.example.com', 'www.example.com'],
+        'www.example.com', SiteBypass.Actions.REMOVE));
+  },
+
+  // Only a web page's site can be bypassed, and only under manual settings.
+  testUpdateErrors: function() {
+    var siteBypass = newSiteBypass([]);
+    var result = {};
+    (async function() {
+      try {
+        await siteBypass.update_(SiteBypass.Actions.HOST,
+                                 'chrome://extensions/', false);
+      } catch (err) {
+        result.noHost = err;
+      }
+      await ProxySettings.apply('regular', {proxy: {mode: 'direct'},
+                                            restrictRtc: 'default'});
+      try {
+        await siteBypass.update_(SiteBypass.Actions.HOST,
+                                 'https://www.example.com/', false);
+      } catch (err) {
+        result.notManual = err;
+      }
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEqual('errorBypassSiteNoHost', result.noHost);
+      this.assertEqual('errorBypassSiteNotManual:windowTypeRegular',
+                       result.notManual);
+    });
+  },
+
+  // The change is applied to the window type of the page's tab, ending its
+  // failover, and saved to its active profile.
+  testUpdate: function() {
+    var resets = [];
+    var siteBypass = newSiteBypass(resets);
+    var result = {};
+    (async function() {
+      var profiles = new ProxyProfiles();
+      await profiles.save('Tor', socks);
+      await profiles.setActive('incognito', 'Tor');
+      await ProxySettings.apply('incognito', socks);
+      result.proxy = await siteBypass.update_(
+          SiteBypass.Actions.DOMAIN, 'https://www.example.com/a', true);
+      result.applied = chrome.proxy.settings.values;
+      result.profile = await profiles.get('Tor');
+      await forget();
+    })();
+    this.wait(50, function() {
+      this.assertEnumEqual(['example.com', '*.example.com'],
+                           result.proxy.rules.bypassList);
+      this.assertEqual(JSON.stringify(result.proxy),
+                       JSON.stringify(result.applied.incognito_persistent));
+      this.assertEqual('system', result.applied.regular_only.mode);
+      this.assertEnumEqual(['incognito'], resets);
+      this.assertEnumEqual(['example.com', '*.example.com'],
+                           result.profile.proxy.rules.bypassList);
+      this.assertEqual('disable_non_proxied_udp', result.profile.restrictRtc);
+    });
+  }
+}, { testLog: 'sitebypasslog' });